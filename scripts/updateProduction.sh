@@ -16,11 +16,12 @@ PARENT_DIR="$(cd -P "$(dirname "$SOURCE")/.." && pwd)"
 
 cd "${PARENT_DIR}" || exit
 
-echo "Backing up persistent hadrons..."
-ls -lah persistentData/hadrons.json5
+echo "Backing up the database..."
+ls -lah persistentData/database.sqlite*
 mkdir -p persistentData/backups
-cp persistentData/hadrons.json5 persistentData/backups
-ls -lah persistentData/backups/hadrons.json5
+# The -wal and -shm files hold recent writes, so they must be copied along with the database.
+cp persistentData/database.sqlite* persistentData/backups
+ls -lah persistentData/backups/database.sqlite*
 
 echo ""
 echo "Pulling latest changes from the GitHub repo:"
@@ -37,6 +38,6 @@ npm run build
 echo ""
 echo "Restarting server:"
 
-ls -lah persistentData/hadrons.json5
+ls -lah persistentData/database.sqlite*
 pm2 restart Witchazzan
-ls -lah persistentData/hadrons.json5
+ls -lah persistentData/database.sqlite*
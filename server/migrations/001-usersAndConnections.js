@@ -0,0 +1,54 @@
+import logger from '../utilities/logger.js';
+
+const log = logger.forSubsystem('persistence');
+
+// The tables that existed before there were migrations.
+// Databases from back then may have been made by an older version of the code,
+// so this also adds any columns that are missing from tables that already exist.
+
+async function createOrUpdateTable({ db, tableName, columns }) {
+  const columnDefinitions = Object.entries(columns)
+    .map(([key, value]) => `${key} ${value}`)
+    .join(', ');
+  await db.query(
+    `CREATE TABLE IF NOT EXISTS ${tableName} (${columnDefinitions})`,
+    [],
+  );
+  const tableInfo = await db.query(`PRAGMA table_info(${tableName})`, []);
+  for (const [key, value] of Object.entries(columns)) {
+    if (tableInfo.rows.findIndex((x) => x.name === key) === -1) {
+      log.info(`Adding ${key} column to ${tableName} table.`);
+      // eslint-disable-next-line no-await-in-loop
+      await db.query(`ALTER TABLE ${tableName} ADD COLUMN ${key} ${value}`, []);
+    }
+  }
+}
+
+export default {
+  version: 1,
+  description: 'Create the users and Connections tables.',
+  up: async (db) => {
+    await createOrUpdateTable({
+      db,
+      tableName: 'users',
+      columns: {
+        id: 'TEXT PRIMARY KEY',
+        name: 'TEXT NOT NULL',
+        password: 'TEXT NOT NULL',
+        last_connection: 'INTEGER',
+        guest: 'INTEGER DEFAULT 0',
+        deleted: 'INTEGER DEFAULT 0',
+        finishedGame: 'INTEGER DEFAULT 0',
+      },
+    });
+    await createOrUpdateTable({
+      db,
+      tableName: 'Connections',
+      columns: {
+        id: 'TEXT',
+        timestamp: 'INTEGER',
+        ip: 'TEXT',
+      },
+    });
+  },
+};
@@ -0,0 +1,19 @@
+// Bans and mutes. See utilities/moderation.js.
+export default {
+  version: 2,
+  description: 'Create the Bans table.',
+  up: async (db) => {
+    await db.query(
+      `CREATE TABLE IF NOT EXISTS Bans (
+        userId TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        reason TEXT,
+        expires INTEGER,
+        createdBy TEXT,
+        timestamp INTEGER,
+        lifted INTEGER DEFAULT 0
+      )`,
+      [],
+    );
+  },
+};
@@ -0,0 +1,54 @@
+import logger from '../utilities/logger.js';
+
+const log = logger.forSubsystem('persistence');
+
+// Users used to have admin, canChat and canMessage columns instead of roles.
+// Turn them into roles, and then get rid of the old columns.
+// See utilities/permissions.js.
+
+const oldPrivilegeColumns = {
+  admin: 'admin',
+  canChat: 'chatter',
+  canMessage: 'messenger',
+};
+
+export default {
+  version: 3,
+  description: 'Replace the privilege columns in users with roles.',
+  up: async (db) => {
+    await db.query(
+      'CREATE TABLE IF NOT EXISTS Roles (name TEXT PRIMARY KEY, description TEXT)',
+      [],
+    );
+    await db.query(
+      'CREATE TABLE IF NOT EXISTS RolePermissions (role TEXT NOT NULL, permission TEXT NOT NULL)',
+      [],
+    );
+    await db.query(
+      'CREATE TABLE IF NOT EXISTS UserRoles (userId TEXT NOT NULL, role TEXT NOT NULL)',
+      [],
+    );
+    await db.query(
+      'CREATE UNIQUE INDEX IF NOT EXISTS RolePermissionsUnique ON RolePermissions (role, permission)',
+      [],
+    );
+    await db.query(
+      'CREATE UNIQUE INDEX IF NOT EXISTS UserRolesUnique ON UserRoles (userId, role)',
+      [],
+    );
+
+    const tableInfo = await db.query('PRAGMA table_info(users)', []);
+    for (const [column, role] of Object.entries(oldPrivilegeColumns)) {
+      if (tableInfo.rows.findIndex((x) => x.name === column) > -1) {
+        log.info(`Moving ${column} column in users table to ${role} role.`);
+        // eslint-disable-next-line no-await-in-loop
+        await db.query(
+          `INSERT OR IGNORE INTO UserRoles (userId, role) SELECT id, ? FROM users WHERE ${column} = 1`,
+          [role],
+        );
+        // eslint-disable-next-line no-await-in-loop
+        await db.query(`ALTER TABLE users DROP COLUMN ${column}`, []);
+      }
+    }
+  },
+};
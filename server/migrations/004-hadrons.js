@@ -0,0 +1,17 @@
+// The saved game state. See utilities/gameStateStore.js.
+export default {
+  version: 4,
+  description: 'Create the Hadrons table.',
+  up: async (db) => {
+    await db.query(
+      `CREATE TABLE IF NOT EXISTS Hadrons (
+        id TEXT PRIMARY KEY,
+        scn TEXT,
+        typ TEXT,
+        own TEXT,
+        data TEXT NOT NULL
+      )`,
+      [],
+    );
+  },
+};
@@ -0,0 +1,21 @@
+// The last few chat lines in each channel. See utilities/chatHistory.js.
+export default {
+  version: 5,
+  description: 'Create the ChatHistory table.',
+  up: async (db) => {
+    await db.query(
+      `CREATE TABLE IF NOT EXISTS ChatHistory (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        channel TEXT NOT NULL,
+        name TEXT,
+        content TEXT,
+        timestamp INTEGER
+      )`,
+      [],
+    );
+    await db.query(
+      'CREATE INDEX IF NOT EXISTS ChatHistoryChannel ON ChatHistory (channel, id)',
+      [],
+    );
+  },
+};
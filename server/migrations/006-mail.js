@@ -0,0 +1,27 @@
+// Letters between players. See utilities/mail.js.
+export default {
+  version: 6,
+  description: 'Create the Mail table.',
+  up: async (db) => {
+    await db.query(
+      `CREATE TABLE IF NOT EXISTS Mail (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        toUserId TEXT NOT NULL,
+        fromUserId TEXT NOT NULL,
+        fromName TEXT,
+        content TEXT,
+        timestamp INTEGER,
+        read INTEGER DEFAULT 0
+      )`,
+      [],
+    );
+    await db.query(
+      'CREATE INDEX IF NOT EXISTS MailTo ON Mail (toUserId, id)',
+      [],
+    );
+    await db.query(
+      'CREATE INDEX IF NOT EXISTS MailFrom ON Mail (fromUserId, timestamp)',
+      [],
+    );
+  },
+};
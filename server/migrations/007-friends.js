@@ -0,0 +1,23 @@
+// Who is on whose friends list. See utilities/friends.js.
+export default {
+  version: 7,
+  description: 'Create the Friends table.',
+  up: async (db) => {
+    await db.query(
+      `CREATE TABLE IF NOT EXISTS Friends (
+        userId TEXT NOT NULL,
+        friendId TEXT NOT NULL,
+        timestamp INTEGER
+      )`,
+      [],
+    );
+    await db.query(
+      'CREATE UNIQUE INDEX IF NOT EXISTS FriendsUnique ON Friends (userId, friendId)',
+      [],
+    );
+    await db.query(
+      'CREATE INDEX IF NOT EXISTS FriendsByFriend ON Friends (friendId)',
+      [],
+    );
+  },
+};
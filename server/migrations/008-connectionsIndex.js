@@ -0,0 +1,11 @@
+// The connections API pages and filters Connections by time. See utilities/connectionStats.js.
+export default {
+  version: 8,
+  description: 'Index the Connections table by timestamp.',
+  up: async (db) => {
+    await db.query(
+      'CREATE INDEX IF NOT EXISTS ConnectionsTimestamp ON Connections (timestamp)',
+      [],
+    );
+  },
+};
@@ -0,0 +1,17 @@
+// Codes that admins give players to reset forgotten passwords. See utilities/passwordResetCodes.js.
+export default {
+  version: 9,
+  description: 'Create the PasswordResetCodes table.',
+  up: async (db) => {
+    await db.query(
+      `CREATE TABLE IF NOT EXISTS PasswordResetCodes (
+        userId TEXT PRIMARY KEY,
+        codeHash TEXT NOT NULL,
+        expires INTEGER NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        createdBy TEXT
+      )`,
+      [],
+    );
+  },
+};
@@ -0,0 +1,12 @@
+// When each account was made, so that new guests are not cleaned up before they first connect.
+// See utilities/guestCleanup.js. Accounts made before this have no creation time.
+export default {
+  version: 10,
+  description: 'Add a created column to the Users table.',
+  up: async (db) => {
+    const tableInfo = await db.query('PRAGMA table_info(Users)', []);
+    if (tableInfo.rows.findIndex((x) => x.name === 'created') === -1) {
+      await db.query('ALTER TABLE Users ADD COLUMN created INTEGER', []);
+    }
+  },
+};
@@ -0,0 +1,23 @@
+// Every token a player signs in with is a session, so that it can be revoked. See utilities/sessions.js.
+export default {
+  version: 11,
+  description: 'Create the Sessions table.',
+  up: async (db) => {
+    await db.query(
+      `CREATE TABLE IF NOT EXISTS Sessions (
+        id TEXT PRIMARY KEY,
+        userId TEXT NOT NULL,
+        created INTEGER,
+        expires INTEGER,
+        lastSeen INTEGER,
+        lastIp TEXT,
+        revoked INTEGER DEFAULT 0
+      )`,
+      [],
+    );
+    await db.query(
+      'CREATE INDEX IF NOT EXISTS SessionsByUser ON Sessions (userId)',
+      [],
+    );
+  },
+};
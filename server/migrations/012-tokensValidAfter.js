@@ -0,0 +1,15 @@
+// Tokens from before sessions existed can only be revoked all at once, by the time they were signed.
+// See utilities/sessions.js.
+export default {
+  version: 12,
+  description: 'Add a tokensValidAfter column to the Users table.',
+  up: async (db) => {
+    const tableInfo = await db.query('PRAGMA table_info(Users)', []);
+    if (tableInfo.rows.findIndex((x) => x.name === 'tokensValidAfter') === -1) {
+      await db.query(
+        'ALTER TABLE Users ADD COLUMN tokensValidAfter INTEGER',
+        [],
+      );
+    }
+  },
+};
@@ -0,0 +1,42 @@
+import usersAndConnections from './001-usersAndConnections.js';
+import bans from './002-bans.js';
+import roles from './003-roles.js';
+import hadrons from './004-hadrons.js';
+import chatHistory from './005-chatHistory.js';
+import mail from './006-mail.js';
+import friends from './007-friends.js';
+import connectionsIndex from './008-connectionsIndex.js';
+import passwordResetCodes from './009-passwordResetCodes.js';
+import userCreated from './010-userCreated.js';
+import sessions from './011-sessions.js';
+import tokensValidAfter from './012-tokensValidAfter.js';
+
+/*
+Every change to the database schema is a migration in this folder.
+
+Each migration module exports an object like this:
+{
+  version: 5, // One more than the migration before it.
+  description: 'Add a thing.', // Logged when it runs, and kept in the schema_version table.
+  up: async (db) => {}, // Makes the change. Runs inside a transaction.
+}
+
+Migrations are applied in order at startup, and each one only ever runs once per database,
+so never edit one that has been released. Add a new one instead.
+ */
+
+// Add new migration modules to the end of this list.
+export default [
+  usersAndConnections,
+  bans,
+  roles,
+  hadrons,
+  chatHistory,
+  mail,
+  friends,
+  connectionsIndex,
+  passwordResetCodes,
+  userCreated,
+  sessions,
+  tokensValidAfter,
+];
@@ -3,6 +3,9 @@ import JSON5 from 'json5';
 import prettier from 'prettier';
 // eslint-disable-next-line
 import mapUtils from './utilities/mapUtils.js';
+import logger from './utilities/logger.js';
+
+const log = logger.forSubsystem('persistence');
 
 const writeObject = async (path, objectLiteral) => {
   const formatted = await prettier.format(JSON.stringify(objectLiteral), {
@@ -19,17 +22,17 @@ const readObject = async (path) => {
   try {
     data = await fs.readFile(path, 'utf8');
   } catch (e) {
-    console.log(`Error reading ${path} file. Starting from scratch.`);
+    log.info(`Error reading ${path} file. Starting from scratch.`);
     // Return an empty object if the file doesn't exist.
     return {};
   }
   try {
     return JSON5.parse(data);
   } catch (e) {
-    console.error(
+    log.error(
       `File ${path} exists, but is not valid JSON5. This is a fatal error. Please fix the file and try again.`,
+      { error: e.message },
     );
-    console.error('Filename:', path);
     throw e;
   }
 };
@@ -49,17 +52,17 @@ const readMap = async (path) => {
   try {
     data = await fs.readFile(path, 'utf8');
   } catch (e) {
-    console.log('Error reading map file. Starting from scratch.');
+    log.info(`Error reading ${path} file. Starting from scratch.`);
     // Return an map object if the file doesn't exist.
     return new Map();
   }
   try {
     return JSON5.parse(data, mapUtils.reviver);
   } catch (e) {
-    console.error(
+    log.error(
       `File ${path} exists, but is not valid JSON5. This is a fatal error. Please fix the file and try again.`,
+      { error: e.message },
     );
-    console.error('Filename:', path);
     throw e;
   }
 };
@@ -1,7 +1,8 @@
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { randomUUID, randomBytes } from 'crypto';
+import { randomUUID, randomBytes, timingSafeEqual } from 'crypto';
+import { monitorEventLoopDelay, performance } from 'perf_hooks';
 import cors from 'cors';
 import express from 'express';
 import sqlite3 from 'sqlite3';
@@ -11,74 +12,44 @@ import { Server } from 'socket.io';
 import msgPackParser from 'socket.io-msgpack-parser';
 import _ from 'lodash';
 import persistentData from './persistentData.js';
+import logger from './utilities/logger.js';
 import validateJWT from './validateJWT.js';
 import wait from './utilities/wait.js';
 import makeRandomNumber from './utilities/makeRandomNumber.js';
 import validateHadron from './utilities/validateHadron.js';
+import repairSavedHadrons from './utilities/repairSavedHadrons.js';
 import serverVersion from './utilities/version.js';
 import mapUtils from './utilities/mapUtils.js';
 import generateRandomGuestUsername from './utilities/generateRandomGuestUsername.js';
 import initDatabase from './utilities/initDatabase.js';
-import addPrivilege from './utilities/addPrivilege.js';
+import createGameStateStore from './utilities/gameStateStore.js';
+import createChatHistory from './utilities/chatHistory.js';
+import chatChannels from './utilities/chatChannels.js';
+import mail from './utilities/mail.js';
+import friends from './utilities/friends.js';
+import connectionStats from './utilities/connectionStats.js';
+import passwordResetCodes from './utilities/passwordResetCodes.js';
+import cleanUpGuests from './utilities/guestCleanup.js';
+import accountData from './utilities/accountData.js';
+import sessions from './utilities/sessions.js';
+import gameStateBackups from './utilities/gameStateBackups.js';
+import moderation from './utilities/moderation.js';
+import permissions from './utilities/permissions.js';
+import hadronHealth from './utilities/hadronHealth.js';
+import hadronDelta from './utilities/hadronDelta.js';
+import sceneManifest from './utilities/sceneManifest.js';
+import createMetrics from './utilities/metrics.js';
+import createSocketHandlerRegistry from './socketHandlers/registry.js';
+import socketHandlers from './socketHandlers/index.js';
 
 const hadronBroadcastThrottleTime = 50;
 
-const commandListArray = [
-  {
-    name: 'tp [scene name]',
-    description: 'Teleport to a scene.',
-    adminOnly: true,
-  },
-  {
-    name: 'who',
-    description: 'List currently online players.',
-  },
-  { name: 'exit', description: 'Exit to intro screen.' },
-  { name: 'help', description: 'Displays this message.' },
-  {
-    name: 'dumpPlayerObject',
-    description: 'Log player object to console for debugging.',
-    adminOnly: true,
-  },
-  {
-    name: 'dumpClientSprites',
-    description: 'Log clientSprites Map() to console for debugging.',
-    adminOnly: true,
-  },
-  {
-    name: 'dumpHadrons',
-    description: 'Log hadrons Map() to console for debugging.',
-    adminOnly: true,
-  },
-  {
-    name: 'dumpDeletedHadronList',
-    description: 'Log deletedHadronList Array to console for debugging.',
-    adminOnly: true,
-  },
-  {
-    name: 'del [key] [value]',
-    description: 'Delete hadrons where [key] is equal to [value].',
-    adminOnly: true,
-  },
-  {
-    name: 'op [player name]',
-    description: 'Upgrade [player name] to admin.',
-    adminOnly: true,
-  },
-  {
-    name: 'canChat [player name]',
-    description: 'Allow [player name] to chat.',
-    adminOnly: true,
-  },
-  {
-    name: 'canMessage [player name]',
-    description: 'Allow [player name] to drop messages.',
-    adminOnly: true,
-  },
-];
-
-console.log('------------------------------');
-console.log('Witchazzan server is starting...');
+const log = logger.forSubsystem('server');
+const authLog = logger.forSubsystem('auth');
+const hadronLog = logger.forSubsystem('hadrons');
+const persistenceLog = logger.forSubsystem('persistence');
+
+log.info('Witchazzan server is starting...');
 
 // https://stackoverflow.com/a/64383997/4982408
 // eslint-disable-next-line no-underscore-dangle
@@ -101,7 +72,7 @@ try {
     `${persistentDataFolder}/serverConfiguration.json5`,
   );
 } catch (error) {
-  console.error(error);
+  persistenceLog.error('Unable to read the server configuration', { error });
   // File not existing will just return an empty object.
   // So an actual error is something worse, like the file being corrupted.
   process.exit(1);
@@ -119,23 +90,88 @@ if (!serverConfiguration.jwtExpiresInSeconds) {
 if (!serverConfiguration.gameStateSaveInterval) {
   serverConfiguration.gameStateSaveInterval = 60 * 1000; // 1 minute
 }
+if (!serverConfiguration.hasOwnProperty('backupInterval')) {
+  // Set to 0 to turn off scheduled backups.
+  serverConfiguration.backupInterval = 60 * 60 * 1000; // 1 hour
+}
+if (!serverConfiguration.backupsToKeep) {
+  serverConfiguration.backupsToKeep = 48;
+}
+if (!serverConfiguration.chatHistoryLength) {
+  // Lines of chat history kept for each chat channel.
+  serverConfiguration.chatHistoryLength = 100;
+}
+if (!serverConfiguration.hasOwnProperty('chatHistoryOnJoin')) {
+  // Lines of chat history sent to players when they join. Set to 0 to send none.
+  serverConfiguration.chatHistoryOnJoin = 20;
+}
+if (!serverConfiguration.maxPlayerSpeed) {
+  // Pixels per second. This should match maxSpeed in src/objects/playerObject.js
+  serverConfiguration.maxPlayerSpeed = 175;
+}
+if (!serverConfiguration.hasOwnProperty('contactDamageInterval')) {
+  // Milliseconds between hits of NPC contact damage on a player. Set to 0 for a hit on every collision.
+  serverConfiguration.contactDamageInterval = 1000;
+}
+if (!serverConfiguration.hasOwnProperty('guestAccountIdleDays')) {
+  // Guests who haven't connected for this many days are deleted. Set to 0 to keep them forever.
+  serverConfiguration.guestAccountIdleDays = 30;
+}
+if (!serverConfiguration.guestCleanupInterval) {
+  serverConfiguration.guestCleanupInterval = 24 * 60 * 60 * 1000; // 1 day
+}
 if (!serverConfiguration.defaultOpeningScene) {
   serverConfiguration.defaultOpeningScene = 'CamelopardalisH8';
 }
+if (!serverConfiguration.hasOwnProperty('metricsSecret')) {
+  // Prometheus can send this as a bearer token to read /api/metrics without an admin token.
+  // Leave it empty to only allow admin tokens.
+  serverConfiguration.metricsSecret = '';
+}
+if (!serverConfiguration.logLevels) {
+  // error, warn, info or debug, for each subsystem, or default for the rest.
+  // For example, { default: 'warn', hadrons: 'debug' }
+  serverConfiguration.logLevels = { default: 'info' };
+}
+if (!serverConfiguration.logFileMaxBytes) {
+  serverConfiguration.logFileMaxBytes = 10 * 1024 * 1024; // 10 MB
+}
+if (!serverConfiguration.logFilesToKeep) {
+  serverConfiguration.logFilesToKeep = 5;
+}
 // The file is always rewritten, so the formatting will get fixed if it is bad.
 await persistentData.writeObject(
   `${persistentDataFolder}/serverConfiguration.json5`,
   serverConfiguration,
 );
 
+try {
+  logger.configure({
+    levelsBySubsystem: serverConfiguration.logLevels,
+    folder: `${persistentDataFolder}/logs`,
+    maxFileSize: serverConfiguration.logFileMaxBytes,
+    filesToKeep: serverConfiguration.logFilesToKeep,
+  });
+} catch (error) {
+  log.error('Unable to set up logging', { error });
+  process.exit(1);
+}
+
+if (!sceneManifest.isPlayable(serverConfiguration.defaultOpeningScene)) {
+  log.error(
+    `The defaultOpeningScene ${serverConfiguration.defaultOpeningScene} in serverConfiguration.json5 is not a playable scene in server/utilities/sceneManifest.js`,
+  );
+  process.exit(1);
+}
+
 // Persistent user data in SQLite database.
 // If the database doesn't exist, it will be created.
 const dbName = `${persistentDataFolder}/database.sqlite`;
 const db = new sqlite3.Database(dbName, (err) => {
   if (err) {
-    console.error(err.message);
+    persistenceLog.error('Unable to open the database', { error: err.message });
   }
-  console.log('Connected to the database.');
+  persistenceLog.info('Connected to the database.');
 });
 
 // eslint-disable-next-line func-names
@@ -149,32 +185,151 @@ db.query = function (sql, params) {
   });
 };
 
+// Run a group of queries as one transaction, so that either all of them happen, or none of them do.
+// Transactions are queued so that they never overlap each other.
+let transactionQueue = Promise.resolve();
+// eslint-disable-next-line func-names
+db.transaction = function (work) {
+  const that = this;
+  const result = transactionQueue.then(async () => {
+    await that.query('BEGIN IMMEDIATE', []);
+    try {
+      const workResult = await work();
+      await that.query('COMMIT', []);
+      return workResult;
+    } catch (e) {
+      await that.query('ROLLBACK', []);
+      throw e;
+    }
+  });
+  // A failed transaction must not stop the ones after it from running.
+  transactionQueue = result.catch(() => {});
+  return result;
+};
+
 await initDatabase(db);
 
+// See /api/metrics
+const metrics = createMetrics();
+metrics.define(
+  'witchazzan_connected_players',
+  'gauge',
+  'Players connected right now.',
+);
+metrics.define(
+  'witchazzan_hadrons',
+  'gauge',
+  'Hadrons by state (active or inactive), scene and type.',
+);
+metrics.define(
+  'witchazzan_hadron_broadcasts_total',
+  'counter',
+  'Hadron deltas sent to scenes.',
+);
+metrics.define(
+  'witchazzan_hadron_bytes_sent_total',
+  'counter',
+  'Compressed hadron delta bytes sent, by scene, counting every player that each delta was sent to.',
+);
+metrics.define(
+  'witchazzan_hadron_data_packets_received_total',
+  'counter',
+  'hadronData packets received, by socket, for sockets that are still connected.',
+);
+metrics.define(
+  'witchazzan_game_state_save_duration_seconds_sum',
+  'counter',
+  'Total time spent saving the game state.',
+);
+metrics.define(
+  'witchazzan_game_state_save_duration_seconds_count',
+  'counter',
+  'Number of times the game state has been saved.',
+);
+metrics.define(
+  'witchazzan_event_loop_lag_seconds',
+  'gauge',
+  'Event loop delay since the metrics were last read.',
+);
+const eventLoopDelay = monitorEventLoopDelay();
+eventLoopDelay.enable();
+
 // Create an empty hadrons Map for game state.
 const hadrons = new Map();
 // Create an empty connectedPlayerData Map for player information.
 const connectedPlayerData = new Map();
 // Load saved game state into inactiveHadrons. They are all inactive until players join.
+const gameStateStore = createGameStateStore({ db });
+const chatHistory = createChatHistory({
+  db,
+  keep: serverConfiguration.chatHistoryLength,
+});
+
+// A hadrons.json5 file is either from before the game state was kept in the database,
+// or has been edited by hand while the server was stopped.
+// Either way, it replaces what is in the database, and is then renamed so that it is only imported once.
+const hadronsImportFile = `${persistentDataFolder}/hadrons.json5`;
+if (fs.existsSync(hadronsImportFile)) {
+  try {
+    const importedCount = await gameStateStore.importFromFile(
+      hadronsImportFile,
+      (importedHadrons) => {
+        repairSavedHadrons({
+          hadrons: importedHadrons,
+          source: hadronsImportFile,
+        });
+      },
+    );
+    const importedFileName = `${hadronsImportFile}.imported-${Date.now()}`;
+    fs.renameSync(hadronsImportFile, importedFileName);
+    persistenceLog.info(
+      `Imported ${importedCount} hadrons from ${hadronsImportFile} and renamed it to ${importedFileName}`,
+    );
+  } catch (error) {
+    persistenceLog.error(
+      `Aborting server start, unable to import ${hadronsImportFile}`,
+      { error },
+    );
+    process.exit(1);
+  }
+}
+
 let inactiveHadrons;
 try {
-  inactiveHadrons = await persistentData.readMap(
-    `${persistentDataFolder}/hadrons.json5`,
-  );
+  inactiveHadrons = await gameStateStore.load();
 } catch (error) {
-  console.error(error);
-  // File not existing will just return an empty Map to start using.
-  // So an actual error is something worse, like the file being corrupted.
+  persistenceLog.error('Unable to load the game state', { error });
   process.exit(1);
 }
 
-// Validate all saved hadrons before starting server
-inactiveHadrons.forEach((hadron) => {
-  if (!validateHadron.server(hadron)) {
-    console.error(
-      `Aborting server start due to invalid data in ${persistentDataFolder}/hadrons.json5`,
-    );
-    process.exit(1);
+// Validate all saved hadrons before starting server.
+repairSavedHadrons({ hadrons: inactiveHadrons, source: 'the database' });
+
+// Hadrons deleted by an admin are remembered,
+// so that clients still holding a copy cannot send them back.
+const deletedHadronIds = new Set();
+
+// Scenes can be removed from the game, but their hadrons would still be saved.
+// Players in them are moved to the default opening scene.
+// Everything else is kept, in case the scene comes back, but is not brought back to life below.
+inactiveHadrons.forEach((hadron, key) => {
+  if (!sceneManifest.has(hadron.scn)) {
+    if (hadron.typ === 'player') {
+      hadronLog.warn(
+        `Moving player in unknown scene ${hadron.scn} to ${serverConfiguration.defaultOpeningScene}`,
+        { id: key },
+      );
+      inactiveHadrons.set(key, {
+        ...hadron,
+        scn: serverConfiguration.defaultOpeningScene,
+        x: 0,
+        y: 0,
+      });
+    } else {
+      hadronLog.warn(`Keeping hadron in unknown scene ${hadron.scn}`, {
+        id: key,
+      });
+    }
   }
 });
 
@@ -182,48 +337,125 @@ inactiveHadrons.forEach((hadron) => {
 let deletedPlayers = await db.query(`SELECT id FROM Users WHERE deleted = 1`);
 deletedPlayers = deletedPlayers.rows;
 deletedPlayers = deletedPlayers.map((entry) => entry.id);
-console.log(`Deleted user count: ${deletedPlayers.length}`);
+log.info(`Deleted user count: ${deletedPlayers.length}`);
 
 // Resurrect any "Persist On Disconnect (pod)" hadrons immediately.
-// Except for Library hadrons.
+// Except for hadrons in instanced scenes, like the Library.
 inactiveHadrons.forEach((hadron, key) => {
   // Check for hadrons owned by deleted players
   if (hadron.hasOwnProperty('own')) {
     if (deletedPlayers.indexOf(hadron.own) > -1) {
-      console.log('Deleting hadron for deleted user:');
-      console.log(hadron);
+      hadronLog.info('Deleting hadron for deleted user', { id: key });
+      hadronLog.debug('Deleted hadron', { hadron });
       inactiveHadrons.delete(key);
     }
-  } else if (hadron.pod && hadron.scn !== 'Library') {
+  } else if (
+    hadron.pod &&
+    sceneManifest.has(hadron.scn) &&
+    !sceneManifest.isInstanced(hadron.scn)
+  ) {
     hadrons.set(key, hadron);
     inactiveHadrons.delete(key);
   }
 });
 
-async function saveGameStateToDisk() {
-  // Combine active and inactive hadrons into one list Map for saving.
-  const hadronsToSave = new Map();
+// Combine active and inactive hadrons into one list Map for saving.
+function getGameState() {
+  const gameState = new Map();
   inactiveHadrons.forEach((hadron, key) => {
-    hadronsToSave.set(key, hadron);
+    gameState.set(key, hadron);
   });
   hadrons.forEach((hadron, key) => {
-    hadronsToSave.set(key, hadron);
+    gameState.set(key, hadron);
+  });
+  return gameState;
+}
+
+async function saveGameStateToDisk() {
+  try {
+    const startTime = performance.now();
+    const changedCount = await gameStateStore.save(getGameState());
+    metrics.add(
+      'witchazzan_game_state_save_duration_seconds_sum',
+      {},
+      (performance.now() - startTime) / 1000,
+    );
+    metrics.add('witchazzan_game_state_save_duration_seconds_count');
+    persistenceLog.info(
+      `Game state saved to database. ${changedCount} rows changed.`,
+    );
+  } catch (e) {
+    persistenceLog.error('Error saving game state to database', {
+      error: e.message,
+    });
+  }
+}
+
+// Write the game state to a JSON5 file that people can read,
+// or edit and import again by renaming it to hadrons.json5 while the server is stopped.
+async function exportGameState() {
+  const exportFile = `${persistentDataFolder}/hadrons-export.json5`;
+  await gameStateStore.exportToFile(exportFile, getGameState());
+  persistenceLog.info(`Game state exported to ${exportFile}`);
+  return exportFile;
+}
+
+const backupFolder = `${persistentDataFolder}/backups`;
+
+// Write a timestamped snapshot of the game state to the backups folder.
+async function backupGameState() {
+  const fileName = await gameStateBackups.create({
+    backupFolder,
+    hadrons: getGameState(),
+    keep: serverConfiguration.backupsToKeep,
+  });
+  persistenceLog.info(`Game state backed up to ${fileName}`);
+  return fileName;
+}
+
+// Roll the world back to a backup by shutting down,
+// swapping in the backup's hadrons once every player is gone,
+// and then letting the normal shutdown save them.
+async function restoreGameState(fileName) {
+  // Read it first, so that a bad backup stops the restore before anyone is disconnected.
+  const restoredHadrons = await gameStateBackups.read({
+    backupFolder,
+    fileName,
+    repair: (backupHadrons) => {
+      repairSavedHadrons({ hadrons: backupHadrons, source: fileName });
+    },
+  });
+  // The current state gets a backup too, so that the restore can be undone.
+  await backupGameState();
+  persistenceLog.warn(`Restoring game state from ${fileName}`);
+  closeServer(() => {
+    hadrons.clear();
+    inactiveHadrons.clear();
+    restoredHadrons.forEach((hadron, key) => {
+      inactiveHadrons.set(key, hadron);
+    });
   });
-  await persistentData.writeMap(
-    `${persistentDataFolder}/hadrons.json5`,
-    hadronsToSave,
-  );
-  console.log('Game state saved to disk.');
 }
 const throttledSaveGameStateToDisk = _.throttle(
   saveGameStateToDisk,
   serverConfiguration.gameStateSaveInterval,
 );
 
-// Invoke immediately to ensure data is saved and formatted correctly,
-// in case it was edited by hand while the server was not running.
+// Invoke immediately to save anything changed while loading, such as hadrons for deleted users.
 await saveGameStateToDisk();
 
+async function scheduledBackup() {
+  try {
+    await backupGameState();
+  } catch (e) {
+    persistenceLog.error('Error backing up game state', { error: e.message });
+  }
+}
+if (serverConfiguration.backupInterval > 0) {
+  await scheduledBackup();
+  setInterval(scheduledBackup, serverConfiguration.backupInterval);
+}
+
 const app = express();
 
 // In production everything is same origin, so there is no need for this.
@@ -276,8 +508,7 @@ async function isNameInvalid(name) {
         error = 'Name already exists';
       }
     } catch (e) {
-      console.error('Error creating user:');
-      console.error(e.message);
+      authLog.error('Error creating user', { error: e.message });
       error = 'Unknown server error.';
     }
   }
@@ -318,13 +549,17 @@ app.post('/api/sign-up', async (req, res) => {
   try {
     bcrypt.hash(password, serverConfiguration.saltRounds, async (err, hash) => {
       const sqlInsert =
-        'INSERT INTO Users (id, name, password) VALUES ($1, $2, $3);';
-      await db.query(sqlInsert, [userId, name, hash]);
+        'INSERT INTO Users (id, name, password, created) VALUES ($1, $2, $3, $4);';
+      await db.query(sqlInsert, [
+        userId,
+        name,
+        hash,
+        Math.floor(new Date().getTime() / 1000),
+      ]);
     });
     res.sendStatus(200);
   } catch (e) {
-    console.error('Error creating user:');
-    console.error(e.message);
+    authLog.error('Error creating user', { error: e.message });
     res.status(500).send('Unknown error creating user.');
   }
 });
@@ -356,38 +591,46 @@ app.post('/api/guest-play', async (req, res) => {
   const password = randomBytes(64).toString('hex');
 
   try {
-    bcrypt.hash(password, serverConfiguration.saltRounds, async (err, hash) => {
-      const sqlInsert =
-        'INSERT INTO Users (id, name, password, guest) VALUES ($1, $2, $3, 1);';
-      await db.query(sqlInsert, [userId, name, hash]);
+    const sqlInsert =
+      'INSERT INTO Users (id, name, password, guest, created) VALUES ($1, $2, $3, 1, $4);';
+    await db.query(sqlInsert, [
+      userId,
+      name,
+      await bcrypt.hash(password, serverConfiguration.saltRounds),
+      Math.floor(new Date().getTime() / 1000),
+    ]);
+    // Guests are immediately signed in, once they exist.
+    const sessionId = await sessions.create({
+      db,
+      userId,
+      remoteIp: req.headers['x-real-ip'] || req.socket.remoteAddress,
+      expiresInSeconds: serverConfiguration.jwtExpiresInSeconds,
     });
-    // Guests are immediately signed in
     jwt.sign(
       {
         id: userId,
         name,
-        admin: 0,
         guest: 1,
       },
       serverConfiguration.jwtSecret,
       {
         expiresIn: serverConfiguration.jwtExpiresInSeconds,
+        jwtid: sessionId,
       },
       (innerErr, token) => {
-        console.log(`${name} successfully playing as guest`);
+        authLog.info(`${name} successfully playing as guest`);
         res.json({ token });
       },
     );
   } catch (e) {
-    console.error('Error creating user:');
-    console.error(e.message);
+    authLog.error('Error creating user', { error: e.message });
     res.status(500).send('Unknown error creating user.');
   }
 });
 
 app.post('/api/login', async (req, res) => {
   async function rejectUnauthorized(innerRes, name) {
-    console.log(`Failed login attempt from ${name}.`);
+    authLog.warn(`Failed login attempt from ${name}.`);
     // A somewhat random wait stalls brute force attacks and somewhat mitigates timing attacks used to guess names.
     // It also prevents client side bugs from crippling the server with inadvertent DOS attacks.
     await wait(makeRandomNumber.between(3, 5) * 1000);
@@ -396,51 +639,78 @@ app.post('/api/login', async (req, res) => {
   const name = req.body.name;
   let id;
   let hash;
-  let admin = 0;
-  let canChat = 0;
-  let canMessage = 0;
   let guest = 0;
   const password = req.body.password;
   try {
     // LIKE allows for case insensitive name comparison.
     // User names shouldn't be case sensitive.
-    const sql =
-      'SELECT id, name, password, admin, canChat, canMessage, guest FROM Users WHERE name LIKE ?';
+    const sql = 'SELECT id, name, password, guest FROM Users WHERE name LIKE ?';
     const result = await db.query(sql, [name]);
     if (result.rows.length > 0) {
       // We do not confirm or deny that the user exists.
       hash = result.rows[0].password;
       id = result.rows[0].id;
-      admin = result.rows[0].admin;
-      canChat = result.rows[0].canChat;
-      canMessage = result.rows[0].canMessage;
       guest = result.rows[0].guest;
     }
   } catch (e) {
-    console.error('Error retrieving user during login:');
-    console.error(e.message);
+    authLog.error('Error retrieving user during login', { error: e.message });
     res.status(500).send('Unknown error.');
     return;
   }
   if (hash) {
-    bcrypt.compare(password, hash, (err, result) => {
+    bcrypt.compare(password, hash, async (err, result) => {
       if (result) {
+        // Only tell them about a ban once they have proven who they are.
+        let ban;
+        let userPermissions;
+        try {
+          ban = await moderation.getActive({ db, userId: id, kind: 'ban' });
+          userPermissions = await permissions.getPermissions({
+            db,
+            userId: id,
+          });
+        } catch (e) {
+          authLog.error('Error retrieving bans and permissions during login', {
+            error: e.message,
+          });
+          res.status(500).send('Unknown error.');
+          return;
+        }
+        if (ban) {
+          authLog.warn(`${name} tried to log in, but is banned.`);
+          res.status(403).json({ reason: ban.reason, expires: ban.expires });
+          return;
+        }
+        let sessionId;
+        try {
+          sessionId = await sessions.create({
+            db,
+            userId: id,
+            remoteIp: req.headers['x-real-ip'] || req.socket.remoteAddress,
+            expiresInSeconds: serverConfiguration.jwtExpiresInSeconds,
+          });
+        } catch (e) {
+          authLog.error('Error creating session during login', {
+            error: e.message,
+          });
+          res.status(500).send('Unknown error.');
+          return;
+        }
         jwt.sign(
           {
             id,
             name,
-            admin,
-            canChat,
-            canMessage,
             guest,
           },
           serverConfiguration.jwtSecret,
           {
             expiresIn: serverConfiguration.jwtExpiresInSeconds,
+            jwtid: sessionId,
           },
           (innerErr, token) => {
-            console.log(`${name} successfully logged in`);
-            res.json({ token });
+            authLog.info(`${name} successfully logged in`);
+            // Permissions are not in the token, because they can change.
+            res.json({ token, permissions: userPermissions });
           },
         );
       } else {
@@ -452,21 +722,85 @@ app.post('/api/login', async (req, res) => {
   }
 });
 
+// For players who have forgotten their password, with a code from an admin's /resetCode.
+app.post('/api/reset-password', async (req, res) => {
+  const name = req.body.name;
+  const password = req.body.password;
+  const passwordValidationError = isPasswordInvalid(password, name);
+  if (passwordValidationError) {
+    res.status(400).send(passwordValidationError);
+    return;
+  }
+  let redeemed = false;
+  let id;
+  try {
+    // LIKE allows for case insensitive name comparison.
+    // User names shouldn't be case sensitive.
+    const result = await db.query(
+      'SELECT id FROM Users WHERE name LIKE ? AND deleted = 0',
+      [name],
+    );
+    if (result.rows.length > 0) {
+      id = result.rows[0].id;
+      redeemed = await passwordResetCodes.redeem({
+        db,
+        userId: id,
+        code: req.body.code,
+      });
+    }
+  } catch (e) {
+    authLog.error('Error checking password reset code', { error: e.message });
+    res.status(500).send('Unknown error.');
+    return;
+  }
+  if (!redeemed) {
+    authLog.warn(`Failed password reset attempt for ${name}.`);
+    // The same wait as a failed login, for the same reasons.
+    await wait(makeRandomNumber.between(3, 5) * 1000);
+    res.status(401).send('That name and code do not match a reset code.');
+    return;
+  }
+  try {
+    // Like changing the password, this makes it NOT a guest account anymore, if it was.
+    await db.query('UPDATE Users SET password = $1, guest = 0 WHERE id = $2', [
+      await bcrypt.hash(password, serverConfiguration.saltRounds),
+      id,
+    ]);
+  } catch (e) {
+    authLog.error('Error resetting password', { error: e.message });
+    res.status(500).send('Unknown error resetting password.');
+    return;
+  }
+  authLog.info(`${name} reset their password with a code.`);
+  // Whoever knew the old password is signed out everywhere.
+  await revokeSessions({ userId: id });
+  res.sendStatus(200);
+});
+
 // This allows the client to check if it has a valid token BEFORE
 // starting the socket connection, in order to show a "logged in" status on
 // the startup page.
 app.post('/api/auth', async (req, res) => {
   try {
     const remoteIp = req.headers['x-real-ip'] || req.socket.remoteAddress;
-    await validateJWT({
+    const decoded = await validateJWT({
       token: req.body.token,
       secret: serverConfiguration.jwtSecret,
       db,
       remoteIp,
     });
-    res.sendStatus(200);
+    // Permissions are not in the token, so send them to the client here.
+    res.json({
+      permissions: decoded.permissions,
+      guest: decoded.guest,
+    });
   } catch (e) {
-    res.sendStatus(401);
+    if (e?.ban) {
+      // Tell them why, instead of just silently signing them out.
+      res.status(403).json({ reason: e.ban.reason, expires: e.ban.expires });
+    } else {
+      res.sendStatus(401);
+    }
   }
 });
 
@@ -537,17 +871,152 @@ app.post('/api/change-password', async (req, res) => {
   }
 
   try {
-    bcrypt.hash(password, serverConfiguration.saltRounds, async (err, hash) => {
-      await db.query(
-        'UPDATE Users SET password = $1, guest = 0 WHERE id = $2',
-        [hash, decoded.id],
-      );
+    await db.query('UPDATE Users SET password = $1, guest = 0 WHERE id = $2', [
+      await bcrypt.hash(password, serverConfiguration.saltRounds),
+      decoded.id,
+    ]);
+  } catch (e) {
+    authLog.error('Error updating password', { error: e.message });
+    res.status(500).send('Unknown error updating password.');
+    return;
+  }
+  // Everywhere else they were signed in with the old password is signed out.
+  await revokeSessions({
+    userId: decoded.id,
+    exceptSessionId: decoded.sessionId,
+  });
+  res.sendStatus(200);
+});
+
+// Revoke sessions, and disconnect the player if they are playing in one of them.
+// Errors are logged, not thrown, because whatever asked for this has already happened.
+async function revokeSessions({ userId, sessionId, exceptSessionId }) {
+  try {
+    const revoked = await sessions.revoke({
+      db,
+      userId,
+      sessionId,
+      exceptSessionId,
     });
+    const connectedPlayer = connectedPlayerData.get(userId);
+    if (connectedPlayer && revoked.includes(connectedPlayer.sessionId)) {
+      await kickPlayer({ PlayerId: userId, socketEvent: 'unauthorized' });
+    }
+    return revoked;
+  } catch (e) {
+    authLog.error('Error revoking sessions', { error: e.message });
+    return [];
+  }
+}
+
+// The places the player is signed in, for the account section of the sign-in page.
+app.post('/api/sessions', async (req, res) => {
+  const remoteIp = req.headers['x-real-ip'] || req.socket.remoteAddress;
+  let decoded;
+  try {
+    decoded = await validateJWT({
+      token: req.body.token,
+      secret: serverConfiguration.jwtSecret,
+      db,
+      remoteIp,
+      logIt: false,
+    });
+  } catch (e) {
+    res.sendStatus(401);
+    return;
+  }
+  try {
+    const activeSessions = await sessions.list({ db, userId: decoded.id });
+    res.json(
+      activeSessions.map((session) => ({
+        created: session.created,
+        lastSeen: session.lastSeen,
+        lastIp: session.lastIp,
+        current: session.id === decoded.sessionId,
+      })),
+    );
+  } catch (e) {
+    authLog.error('Error listing sessions', { error: e.message });
+    res.status(500).send('Unknown error.');
+  }
+});
+
+// Sign out of this session, so that its token stops working.
+app.post('/api/logout', async (req, res) => {
+  const remoteIp = req.headers['x-real-ip'] || req.socket.remoteAddress;
+  let decoded;
+  try {
+    decoded = await validateJWT({
+      token: req.body.token,
+      secret: serverConfiguration.jwtSecret,
+      db,
+      remoteIp,
+      logIt: false,
+    });
+  } catch (e) {
+    // Already signed out, as far as we are concerned.
     res.sendStatus(200);
+    return;
+  }
+  await revokeSessions({ userId: decoded.id, sessionId: decoded.sessionId });
+  authLog.info(`${decoded.name} logged out`);
+  res.sendStatus(200);
+});
+
+// Sign out everywhere except here.
+app.post('/api/logout-other-sessions', async (req, res) => {
+  const remoteIp = req.headers['x-real-ip'] || req.socket.remoteAddress;
+  let decoded;
+  try {
+    decoded = await validateJWT({
+      token: req.body.token,
+      secret: serverConfiguration.jwtSecret,
+      db,
+      remoteIp,
+      logIt: false,
+    });
   } catch (e) {
-    console.error('Error updating password:');
-    console.error(e.message);
-    res.status(500).send('Unknown error updating password.');
+    res.sendStatus(401);
+    return;
+  }
+  const revoked = await revokeSessions({
+    userId: decoded.id,
+    exceptSessionId: decoded.sessionId,
+  });
+  authLog.info(
+    `${decoded.name} logged out of ${revoked.length} other sessions`,
+  );
+  res.json({ revoked: revoked.length });
+});
+
+// Everything kept about the player, as JSON, so that they can take it with them.
+app.post('/api/export-account', async (req, res) => {
+  const remoteIp = req.headers['x-real-ip'] || req.socket.remoteAddress;
+  let decoded;
+  try {
+    decoded = await validateJWT({
+      token: req.body.token,
+      secret: serverConfiguration.jwtSecret,
+      db,
+      remoteIp,
+      logIt: false,
+    });
+  } catch (e) {
+    res.sendStatus(401);
+    return;
+  }
+  try {
+    res.json(
+      await accountData.exportAccount({
+        db,
+        userId: decoded.id,
+        hadrons,
+        inactiveHadrons,
+      }),
+    );
+  } catch (e) {
+    authLog.error('Error exporting user', { error: e.message });
+    res.status(500).send('Unknown error exporting account.');
   }
 });
 
@@ -576,8 +1045,9 @@ app.post('/api/delete-account', async (req, res) => {
       hash = result.rows[0].password;
     }
   } catch (e) {
-    console.error('Error retrieving user during password change:');
-    console.error(e.message);
+    authLog.error('Error retrieving user during password change', {
+      error: e.message,
+    });
     res.status(500).send('Unknown error.');
     return;
   }
@@ -589,22 +1059,47 @@ app.post('/api/delete-account', async (req, res) => {
         // 1. Set the username to [DELETED]
         // 2. Set their password to an unknown hashed entry.
         try {
-          bcrypt.hash(
-            password,
-            serverConfiguration.saltRounds,
-            async (newError, newHash) => {
-              await db.query(
-                `UPDATE Users SET name = '[DELETED]', password = $1, deleted = 1 WHERE id = $2`,
-                [newHash, decoded.id],
-              );
-            },
+          await db.query(
+            `UPDATE Users SET name = '[DELETED]', password = $1, deleted = 1 WHERE id = $2`,
+            [
+              await bcrypt.hash(password, serverConfiguration.saltRounds),
+              decoded.id,
+            ],
           );
         } catch (e) {
-          console.error('Error deleting user:');
-          console.error(e.message);
+          authLog.error('Error deleting user', { error: e.message });
           res.status(500).send('Unknown error deleting user.');
+          return;
+        }
+        // Sign the account out everywhere, including any game it is playing right now.
+        await revokeSessions({ userId: decoded.id });
+        // Purging also erases their connection history and the messages they dropped.
+        if (req.body.purge === true) {
+          try {
+            const purged = await accountData.purgeAccount({
+              db,
+              userId: decoded.id,
+              hadrons,
+              inactiveHadrons,
+              deletedHadronIds,
+              connectedPlayerData,
+              socketEmitToId,
+              flagSceneHasUpdated,
+            });
+            authLog.info(
+              `Purged ${purged.connections} connections and ${purged.messages} messages for ${decoded.name}`,
+            );
+            if (purged.messages > 0) {
+              throttledSendHadrons();
+              throttledSaveGameStateToDisk();
+            }
+          } catch (e) {
+            authLog.error('Error purging user', { error: e.message });
+            res.status(500).send('Unknown error purging user.');
+            return;
+          }
         }
-        console.log(`Successfully deleted user ${decoded.name}`);
+        authLog.info(`Successfully deleted user ${decoded.name}`);
         res.sendStatus(200);
       } else {
         res.sendStatus(401);
@@ -615,38 +1110,209 @@ app.post('/api/delete-account', async (req, res) => {
   }
 });
 
-app.get('/api/connections', async (req, res) => {
+// Check the bearer token in the Authorization header against a permission.
+async function tokenHasPermission(req, permission) {
+  const authorization = req.headers.authorization || '';
+  if (!authorization.startsWith('Bearer ')) {
+    return false;
+  }
   try {
-    const sql =
-      'SELECT name, timestamp FROM Connections LEFT JOIN Users ON Connections.id = Users.id ORDER BY timestamp DESC';
-    const result = await db.query(sql);
-    let prettyOutput = `<html lang="en-US"><head><title>Connections</title></head><body><table><thead><tr><th>User</th><th>Login Time</th></thead></tbody>`;
-    let previousEntry = {};
-    result.rows.forEach((entry) => {
-      if (
-        entry.name !== previousEntry.name ||
-        previousEntry.timestamp - entry.timestamp > 600
-      ) {
-        const connectionTime = new Date();
-        connectionTime.setTime(entry.timestamp * 1000);
-        prettyOutput += `<tr><td>${entry.name}</td><td>${connectionTime}</td></tr>`;
-        previousEntry = entry;
-      }
+    const decoded = await validateJWT({
+      token: authorization.slice('Bearer '.length),
+      secret: serverConfiguration.jwtSecret,
+      db,
+      remoteIp: req.headers['x-real-ip'] || req.socket.remoteAddress,
+      logIt: false,
     });
-    prettyOutput += '</tbody></table></body></html>';
-    res.send(prettyOutput);
+    return decoded.permissions.includes(permission);
   } catch (e) {
-    console.error('Error retrieving connections:');
-    console.error(e.message);
+    return false;
+  }
+}
+
+// Who has connected, and when, for admin.html.
+// All of these take from and to in the query string, and default to the last 30 days.
+app.get('/api/connections', async (req, res) => {
+  if (!(await tokenHasPermission(req, 'viewConnections'))) {
+    res.sendStatus(401);
+    return;
+  }
+  const range = connectionStats.parseRange(req.query);
+  const page = connectionStats.parsePage(req.query);
+  if (range.error || page.error) {
+    res.status(400).json({ error: range.error || page.error });
+    return;
+  }
+  try {
+    const result = await connectionStats.list({ db, ...range, ...page });
+    res.json({ ...range, ...page, ...result });
+  } catch (e) {
+    log.error('Error retrieving connections', { error: e.message });
+    res.status(500).send('Unknown error.');
+  }
+});
+
+const connectionReports = {
+  'daily-active-users': connectionStats.dailyActiveUsers,
+  'peak-concurrency': connectionStats.peakConcurrency,
+  'new-signups': connectionStats.newSignups,
+  'guest-ratio': connectionStats.guestRatio,
+};
+
+app.get('/api/connections/:report', async (req, res) => {
+  if (!(await tokenHasPermission(req, 'viewConnections'))) {
+    res.sendStatus(401);
+    return;
+  }
+  if (!Object.hasOwn(connectionReports, req.params.report)) {
+    res.sendStatus(404);
+    return;
+  }
+  const report = connectionReports[req.params.report];
+  const range = connectionStats.parseRange(req.query);
+  if (range.error) {
+    res.status(400).json({ error: range.error });
+    return;
+  }
+  try {
+    res.json({ ...range, days: await report({ db, ...range }) });
+  } catch (e) {
+    log.error(`Error retrieving ${req.params.report}`, { error: e.message });
     res.status(500).send('Unknown error.');
   }
 });
 
+// Read by Prometheus, or anyone with an admin token.
+// Send either as a bearer token in the Authorization header.
+async function canReadMetrics(req) {
+  const authorization = req.headers.authorization || '';
+  if (serverConfiguration.metricsSecret) {
+    const secret = Buffer.from(serverConfiguration.metricsSecret);
+    const given = Buffer.from(authorization.slice('Bearer '.length));
+    if (
+      authorization.startsWith('Bearer ') &&
+      secret.length === given.length &&
+      timingSafeEqual(secret, given)
+    ) {
+      return true;
+    }
+  }
+  return tokenHasPermission(req, 'manageServer');
+}
+
+app.get('/api/metrics', async (req, res) => {
+  if (!(await canReadMetrics(req))) {
+    res.sendStatus(401);
+    return;
+  }
+
+  metrics.set('witchazzan_connected_players', {}, connectedPlayerData.size);
+
+  // Scenes and types come and go, so these are counted from scratch every time.
+  metrics.clear('witchazzan_hadrons');
+  hadrons.forEach((hadron) => {
+    metrics.add('witchazzan_hadrons', {
+      state: 'active',
+      scene: hadron.scn,
+      type: hadron.typ,
+    });
+  });
+  inactiveHadrons.forEach((hadron) => {
+    metrics.add('witchazzan_hadrons', {
+      state: 'inactive',
+      scene: hadron.scn,
+      type: hadron.typ,
+    });
+  });
+
+  // The histogram is in nanoseconds, and is reset so each read covers the time since the last one.
+  metrics.set(
+    'witchazzan_event_loop_lag_seconds',
+    { quantile: '0.5' },
+    eventLoopDelay.percentile(50) / 1e9,
+  );
+  metrics.set(
+    'witchazzan_event_loop_lag_seconds',
+    { quantile: '0.99' },
+    eventLoopDelay.percentile(99) / 1e9,
+  );
+  metrics.set(
+    'witchazzan_event_loop_lag_seconds',
+    { quantile: '1' },
+    eventLoopDelay.max / 1e9,
+  );
+  eventLoopDelay.reset();
+
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
 // Track which scenes have been updated, and only send hadrons to them on update.
 // NOTE: We could also flag EACH hadron as "updated" or not and then only update scenes where at least one has an update.
 // This works for now though, and doesn't require updating hadrons in the sendHadrons() function.
 const updatedSceneList = [];
 
+// Clients get a full snapshot of their scene when they enter it,
+// and after that only the hadrons and fields that changed.
+// Each "stream" remembers what was last sent for a scene, along with a sequence number,
+// so that a client can tell if it missed a delta and ask for a resync.
+// Shared scenes have one stream, but every player in an instanced scene, like the Library, has their own.
+const hadronStreams = new Map();
+
+function hadronStreamKey({ scene, playerId }) {
+  if (sceneManifest.isInstanced(scene)) {
+    return `${scene}:${playerId}`;
+  }
+  return scene;
+}
+
+function getHadronStream(streamKey) {
+  if (!hadronStreams.has(streamKey)) {
+    hadronStreams.set(streamKey, { seq: 0, hadrons: new Map() });
+  }
+  return hadronStreams.get(streamKey);
+}
+
+function sendHadronDelta({ streamKey, scene, sceneHadrons, emitTo }) {
+  const stream = getHadronStream(streamKey);
+  const delta = hadronDelta.diff(stream.hadrons, sceneHadrons);
+  if (delta) {
+    stream.seq++;
+    stream.hadrons = new Map();
+    sceneHadrons.forEach((hadron, key) => {
+      stream.hadrons.set(key, { ...hadron });
+    });
+    const compressedDelta = mapUtils.compress({
+      scn: scene,
+      seq: stream.seq,
+      ...delta,
+    });
+    io.sockets.to(emitTo).emit('hadrons', compressedDelta);
+    metrics.add('witchazzan_hadron_broadcasts_total');
+    metrics.add(
+      'witchazzan_hadron_bytes_sent_total',
+      { scene },
+      compressedDelta.length *
+        (io.sockets.adapter.rooms.get(emitTo)?.size || 0),
+    );
+  }
+}
+
+function sendHadronSnapshot({ socketId, playerId, scene }) {
+  // This is the data as of the last delta sent on this stream.
+  // Anything that changed since then will arrive in the next delta,
+  // so the scene must also be flagged as updated to make sure that it is sent.
+  const stream = getHadronStream(hadronStreamKey({ scene, playerId }));
+  io.sockets.to(socketId).emit(
+    'hadrons',
+    mapUtils.compress({
+      scn: scene,
+      seq: stream.seq,
+      ful: true,
+      add: stream.hadrons,
+    }),
+  );
+}
+
 function sendHadrons() {
   // Hadrons are filtered by scene and only sent to players in the same scene as they are in.
   const perSceneHadronList = {};
@@ -664,10 +1330,10 @@ function sendHadrons() {
   hadrons.forEach((hadron, key) => {
     if (perSceneHadronList[hadron.scn]) {
       // Check to see if the controller of this hadron is in this scene
-      // Except in the Library, where we don't transfer control.
+      // Except in instanced scenes, like the Library, where we don't transfer control.
       if (
         connectedPlayerData.get(hadron.ctr)?.scene !== hadron.scn &&
-        hadron.scn !== 'Library'
+        !sceneManifest.isInstanced(hadron.scn)
       ) {
         if (hadron.tcw) {
           // Find a new controller for the hadron.
@@ -689,35 +1355,51 @@ function sendHadrons() {
 
   // Loop through each scene's hadrons
   for (const [scene, sceneHadrons] of Object.entries(perSceneHadronList)) {
-    if (scene !== 'Library') {
-      // Send all of these hadrons to every player who is in the room with the same name as the scene
-      io.sockets.to(scene).emit('hadrons', mapUtils.compress(sceneHadrons));
-      // io.sockets.to(scene).emit("hadrons", Array.from(sceneHadrons.entries()));
+    if (!sceneManifest.isInstanced(scene)) {
+      // Send the changes to every player who is in the room with the same name as the scene
+      sendHadronDelta({ streamKey: scene, scene, sceneHadrons, emitTo: scene });
     } else {
-      // The Library is not a shared room, but instead each player sees their own instance.
+      // Instanced scenes, like the Library, are not shared rooms, but instead each player sees their own instance.
       // Create a map of maps to hold each player's hadrons
       const libraryPlayerHadrons = new Map();
+      // Every player in the scene gets a Map, even an empty one, so that deletions are sent.
+      connectedPlayerData.forEach((player, playerId) => {
+        if (player.scene === scene) {
+          libraryPlayerHadrons.set(playerId, new Map());
+        }
+      });
       sceneHadrons.forEach((hadron, key) => {
-        if (!libraryPlayerHadrons.has(hadron.ctr)) {
-          // If this is the first hadron for this player, make an empty map to hold them.
-          libraryPlayerHadrons.set(hadron.ctr, new Map());
+        if (libraryPlayerHadrons.has(hadron.ctr)) {
+          // Add this hadron to the player's personal map of library hadrons.
+          libraryPlayerHadrons.get(hadron.ctr).set(key, hadron);
+        } else if (!connectedPlayerData.has(hadron.ctr)) {
+          hadronLog.warn(`Unclaimed ${scene} Hadron`, { id: key });
+          hadronLog.debug(`Unclaimed ${scene} Hadron`, { hadron });
         }
-        // Add this hadron to the player's personal map of library hadrons.
-        libraryPlayerHadrons.get(hadron.ctr).set(key, hadron);
       });
       // Now send each player their own hadrons separately.
       libraryPlayerHadrons.forEach((playerHadronMap, playerId) => {
-        if (connectedPlayerData.get(playerId)?.socketId) {
-          io.sockets
-            .to(connectedPlayerData.get(playerId)?.socketId)
-            .emit('hadrons', mapUtils.compress(playerHadronMap));
-        } else {
-          console.error('Unclaimed Library Hadrons:');
-          console.error(playerId, playerHadronMap);
-        }
+        sendHadronDelta({
+          streamKey: hadronStreamKey({ scene, playerId }),
+          scene,
+          sceneHadrons: playerHadronMap,
+          emitTo: connectedPlayerData.get(playerId).socketId,
+        });
       });
     }
   }
+
+  // Forget streams that nobody is listening to anymore.
+  // If someone enters that scene later they will get a fresh stream starting from a full snapshot.
+  const activeStreamKeys = [];
+  connectedPlayerData.forEach((player, playerId) => {
+    activeStreamKeys.push(hadronStreamKey({ scene: player.scene, playerId }));
+  });
+  hadronStreams.forEach((stream, streamKey) => {
+    if (activeStreamKeys.indexOf(streamKey) === -1) {
+      hadronStreams.delete(streamKey);
+    }
+  });
 }
 
 const throttledSendHadrons = _.throttle(
@@ -731,32 +1413,14 @@ function flagSceneHasUpdated(sceneName) {
   }
 }
 
-function validatePlayer(id, socket, PlayerName) {
-  // If the network goes down and back up, clients
-  // sometimes think they are connected and start sending data
-  // when the server has lost track of them.
-  // Forcing them to disconnect will fix the issue and prevent crashes.
-  // This also checks for multiple connections from the same client.
-  if (
-    !id ||
-    !connectedPlayerData.get(id) ||
-    connectedPlayerData.get(id)?.socketId !== socket.id
-  ) {
-    console.log(`${PlayerName} validation failed`);
-    socket.disconnect();
-    return false;
-  }
-  return true;
-}
-
 async function closeServer(callback) {
-  console.log('Shutdown requested. PLEASE BE PATIENT! Working on it...');
+  log.warn('Shutdown requested. PLEASE BE PATIENT! Working on it...');
   io.sockets.emit('txt', {
     typ: 'chat',
     content: 'The Small Hadron Cooperator is shutting down.',
   });
   await wait(1000);
-  console.log('Disconnecting users and giving them a mo...');
+  log.info('Disconnecting users and giving them a mo...');
   io.sockets.emit('shutdown');
   io.close();
   await wait(500);
@@ -764,20 +1428,30 @@ async function closeServer(callback) {
     // This allows us to run something against the hadrons while the
     // server is quiet, before saving and shutting down,
     // and presumably restarting.
-    console.log('Running requested callback function before shutdown...');
+    log.info('Running requested callback function before shutdown...');
     callback();
   }
-  console.log('Saving game state (hadrons) to disk...');
+  log.info('Saving game state (hadrons) to disk...');
   // Flush would only run it if it was requested, so we cancel and force it,
   // although in theory if flush didn't call it, no changes were made.
   await throttledSaveGameStateToDisk.cancel();
   await saveGameStateToDisk();
-  console.log('Closing Database...');
+  log.info('Closing Database...');
   await db.close();
-  console.log('Small Hadron Cooperator is going poof! Bye.\n\n');
+  log.warn('Small Hadron Cooperator is going poof! Bye.');
   process.exit();
 }
 
+// Tell a player why they are being removed, and then remove them.
+async function kickPlayer({ PlayerId, socketEvent, data }) {
+  const socketId = connectedPlayerData.get(PlayerId)?.socketId;
+  if (socketId) {
+    io.sockets.to(socketId).emit(socketEvent, data);
+    await wait(500); // The client needs a moment to receive the message and deal with it.
+    io.sockets.sockets.get(socketId)?.disconnect();
+  }
+}
+
 function socketEmitToId({ emitToId, socketEvent, data }) {
   // emit.to doesn't work to send back to the sender, so we need this special function
   // using io instead of just the socket.
@@ -787,6 +1461,11 @@ function socketEmitToId({ emitToId, socketEvent, data }) {
   io.sockets.to(emitToId).emit(socketEvent, data);
 }
 
+// Send to every socket in a socket.io room, such as a scene or a chat channel.
+function socketEmitToRoom({ room, socketEvent, data }) {
+  io.sockets.to(room).emit(socketEvent, data);
+}
+
 function socketEmitToAll({ socketEvent, data }) {
   // A socket.broadcast all sends to "everyone else", not the originating player, hence this function
   io.sockets.emit(socketEvent, data);
@@ -829,80 +1508,68 @@ function updatePlayerImportantItemList({
   return importantItemList;
 }
 
-const updateHadron = ({ hadron, PlayerId }) => {
-  // Look for an existing hadron already in our data that matches the incoming hadron ID,
-  // and has the owner's id on it.
-  const existingHadron = hadrons.get(hadron.id);
-
-  // If a hadron moves from one scene to another, both scenes must be flagged as updated
-  let previousScene;
-  if (existingHadron && existingHadron.scn !== hadron.scn) {
-    previousScene = existingHadron.scn;
-  }
-
-  // You cannot update hadrons that you are not in control of,
-  if (!existingHadron || existingHadron.ctr === PlayerId) {
-    const newHadronData = { ...hadron };
-
-    // If you send in a hadron with no ctr, you are it
-    if (!newHadronData.ctr) {
-      newHadronData.ctr = PlayerId;
-    }
-
-    if (!existingHadron && !hadron.own) {
-      // If you introduce a new hadron, then you control it.
-      // Ownership never changes on existing hadrons.
-      // A client CAN set an owner on the hadron other than themselves, such as for NPCs and their spells
-      newHadronData.own = PlayerId;
-    }
-
-    validateHadron.server(newHadronData);
-
-    hadrons.set(hadron.id, newHadronData);
-
-    if (previousScene) {
-      flagSceneHasUpdated(previousScene);
-    }
-    flagSceneHasUpdated(newHadronData.scn);
-    throttledSendHadrons();
-    throttledSaveGameStateToDisk();
-  }
-};
+// Everything the socket handlers need to do their work.
+// See socketHandlers/registry.js
+const socketHandlerRegistry = createSocketHandlerRegistry({
+  hadrons,
+  inactiveHadrons,
+  deletedHadronIds,
+  connectedPlayerData,
+  db,
+  config: serverConfiguration,
+  flagSceneHasUpdated,
+  throttledSendHadrons,
+  throttledSaveGameStateToDisk,
+  sendHadronSnapshot,
+  socketEmitToId,
+  socketEmitToAll,
+  socketEmitToRoom,
+  kickPlayer,
+  chatHistory,
+  updatePlayerImportantItemList,
+  metrics,
+  exportGameState,
+  backupGameState,
+  restoreGameState,
+  listGameStateBackups: () => gameStateBackups.list(backupFolder),
+  findGameStateBackup: (search) =>
+    gameStateBackups.find({ backupFolder, search }),
+  closeServer,
+});
+socketHandlers.forEach((handlerDefinition) => {
+  socketHandlerRegistry.register(handlerDefinition);
+});
 
-const destroyHadron = ({ key, PlayerId }) => {
-  if (hadrons.has(key)) {
-    // If the hadron was transferred,
-    // the controller won't delete the hadron from their own list,
-    // so we have to force it to delete the hadron.
-    if (
-      hadrons.get(key).ctr !== PlayerId &&
-      connectedPlayerData.has(hadrons.get(key).ctr)
-    ) {
-      socketEmitToId({
-        emitToId: connectedPlayerData.get(hadrons.get(key).ctr).socketId,
-        socketEvent: 'deleteHadron',
-        data: key,
-      });
+async function scheduledGuestCleanup() {
+  try {
+    const summary = await cleanUpGuests({
+      db,
+      hadrons,
+      inactiveHadrons,
+      deletedHadronIds,
+      connectedPlayerData,
+      socketEmitToId,
+      flagSceneHasUpdated,
+      maxIdleDays: serverConfiguration.guestAccountIdleDays,
+      saltRounds: serverConfiguration.saltRounds,
+    });
+    persistenceLog.info(
+      `Guest cleanup deleted ${summary.guests} guests who had not connected for ${serverConfiguration.guestAccountIdleDays} days, and ${summary.hadrons} of their hadrons.`,
+    );
+    if (summary.hadrons > 0) {
+      throttledSendHadrons();
+      throttledSaveGameStateToDisk();
     }
-    // Give other clients a moment to animate the last moments of the sprite
-    // so that it doesn't appear to disappear before hitting the location where it should disappear on their screen
-    // Otherwise things seem to de-spawn before hitting walls, for instance.
-    // await wait(10);
-    flagSceneHasUpdated(hadrons.get(key)?.scn);
-    hadrons.delete(key);
-    throttledSendHadrons();
-    throttledSaveGameStateToDisk();
-  }
-};
-
-const damageHadron = ({ data }) => {
-  if (
-    hadrons.has(data.id) &&
-    connectedPlayerData.has(hadrons.get(data.id).ctr)
-  ) {
-    socketEmitToAll({ socketEvent: 'damageHadron', data });
+  } catch (e) {
+    persistenceLog.error('Error cleaning up guest accounts', {
+      error: e.message,
+    });
   }
-};
+}
+if (serverConfiguration.guestAccountIdleDays > 0) {
+  await scheduledGuestCleanup();
+  setInterval(scheduledGuestCleanup, serverConfiguration.guestCleanupInterval);
+}
 
 // Socket listeners
 io.on('connection', (socket) => {
@@ -914,7 +1581,7 @@ io.on('connection', (socket) => {
   // Nothing else is available until they have authenticated.
   socket.on('token', async (playerData) => {
     // This code runs every time a player joins.
-    // Look down below for the list of "events" that the client can send us and will be responded to.
+    // The list of "events" that the client can send us and will be responded to is in the socketHandlers folder.
     try {
       const remoteIp =
         socket.handshake.headers['x-real-ip'] || socket.conn.remoteAddress;
@@ -927,13 +1594,10 @@ io.on('connection', (socket) => {
       // We now know that we have a valid authenticated user!
       const PlayerName = decoded.name;
       const PlayerId = decoded.id;
-      const isAdmin = decoded.admin;
-      const canChat = decoded.canChat;
-      const canMessage = decoded.canMessage;
-      console.log(`${PlayerName} connected from ${remoteIp}`);
+      authLog.info(`${PlayerName} connected from ${remoteIp}`);
 
       if (connectedPlayerData.get(PlayerId)) {
-        console.log(`${PlayerName} is already connected!`);
+        authLog.info(`${PlayerName} is already connected!`);
         socket
           .to(connectedPlayerData.get(PlayerId).socketId)
           .emit('multiple_logins');
@@ -943,12 +1607,12 @@ io.on('connection', (socket) => {
 
       // Generate some game statistics for the player's game instance to use
       let namedPlayerCount = await db.query(
-        `SELECT COUNT(*) as count FROM users WHERE guest = 0;`,
+        `SELECT COUNT(*) as count FROM users WHERE guest = 0 AND deleted = 0;`,
       );
       namedPlayerCount = namedPlayerCount.rows[0].count;
 
       let guestCount = await db.query(
-        `SELECT COUNT(*) as count FROM users WHERE guest = 1;`,
+        `SELECT COUNT(*) as count FROM users WHERE guest = 1 AND deleted = 0;`,
       );
       guestCount = guestCount.rows[0].count;
 
@@ -968,12 +1632,11 @@ io.on('connection', (socket) => {
       socket.emit('init', {
         id: PlayerId,
         name: PlayerName,
-        admin: isAdmin,
-        canChat,
-        canMessage,
+        permissions: decoded.permissions,
         defaultOpeningScene: serverConfiguration.defaultOpeningScene,
         serverVersion,
         gameStats,
+        unreadMail: await mail.countUnread({ db, userId: PlayerId }),
       });
 
       // Announce to the player who else is currently online.
@@ -993,11 +1656,16 @@ io.on('connection', (socket) => {
         }, 1000);
       }
 
-      let importantItemList = [];
-      importantItemList = updatePlayerImportantItemList({
+      const player = {
+        id: PlayerId,
+        name: PlayerName,
+        socket,
+        importantItemList: [],
+      };
+      player.importantItemList = updatePlayerImportantItemList({
         PlayerId,
         socketId: socket.id,
-        previousImportantItemList: importantItemList,
+        previousImportantItemList: player.importantItemList,
       });
 
       // Resurrect all inactive hadrons owned by this user.
@@ -1022,6 +1690,13 @@ io.on('connection', (socket) => {
           scn: serverConfiguration.defaultOpeningScene,
         };
       }
+      // Player health is tracked by the server.
+      if (!newPlayerHadron.hasOwnProperty('mxh')) {
+        newPlayerHadron.mxh = hadronHealth.defaultMaxHealth;
+      }
+      if (!newPlayerHadron.hasOwnProperty('hlt')) {
+        newPlayerHadron.hlt = newPlayerHadron.mxh;
+      }
 
       // Always update their name and sprite.
       newPlayerHadron.nam = PlayerName; // Names can be changed, with the UUID staying the same, so we update the client.
@@ -1039,15 +1714,25 @@ io.on('connection', (socket) => {
         name: PlayerName,
         scene: newPlayerHadron.scn,
         socketId: socket.id,
-        isAdmin,
-        canChat,
-        canMessage,
+        sessionId: decoded.sessionId,
+        permissions: decoded.permissions,
+        mute: await moderation.getActive({
+          db,
+          userId: PlayerId,
+          kind: 'mute',
+        }),
       });
 
       // Join player to the room for the scene that they are in.
       socket.join(newPlayerHadron.scn);
 
-      // Flag their scene as having been updated and queue a hadron broadcast.
+      // Start their hadron stream with a snapshot of the scene,
+      // then flag their scene as having been updated and queue a hadron broadcast.
+      sendHadronSnapshot({
+        socketId: socket.id,
+        playerId: PlayerId,
+        scene: newPlayerHadron.scn,
+      });
       flagSceneHasUpdated(newPlayerHadron.scn);
       throttledSendHadrons();
 
@@ -1055,351 +1740,62 @@ io.on('connection', (socket) => {
       // The local client won't start the game until they receive
       // their first set of hadrons that includes one to track themselves.
 
-      // Announce new players.
-      socket.broadcast.emit('txt', {
-        typ: 'chat',
-        content: `${PlayerName} has joined the game in ${newPlayerHadron.scn}!`,
-      });
-
-      // End of "on join" code.
-      // -------------------------------------------------
-      // Start list of "when client sends this to us" code.
-
-      socket.on('txt', async (data) => {
-        if (
-          validatePlayer(PlayerId, socket, PlayerName) &&
-          (connectedPlayerData.get(PlayerId)?.canChat || data.typ === 'fad')
-        ) {
-          let name = PlayerName;
-          if (data.fromPlayerId) {
-            try {
-              // User could be offline, so get from database
-              const sql = 'SELECT name FROM Users WHERE id = ?';
-              const result = await db.query(sql, [data.fromPlayerId]);
-              if (result.rows.length > 0) {
-                name = result.rows[0].name;
-              }
-            } catch (e) {
-              console.error(
-                'Error retrieving user on socket txt:',
-                data.fromPlayerId,
-              );
-              console.error(e.message);
-            }
-          }
-          const dataToSend = {
-            name,
-            typ: data.typ ? data.typ : 'chat',
-            content: data.text,
-          };
-          if (data.targetPlayerId) {
-            if (connectedPlayerData.has(data.targetPlayerId)) {
-              socketEmitToId({
-                emitToId: connectedPlayerData.get(data.targetPlayerId).socketId,
-                socketEvent: 'txt',
-                data: dataToSend,
-              });
-            }
-          } else {
-            socketEmitToAll({
-              socketEvent: 'txt',
-              data: dataToSend,
-            });
-          }
-        }
-      });
-
-      socket.on('hadronData', (input) => {
-        if (input.length > 0 && validatePlayer(PlayerId, socket, PlayerName)) {
-          for (const entry of input) {
-            switch (entry.tsk) {
-              case 'upd':
-                updateHadron({ hadron: entry, PlayerId });
-                break;
-              case 'del':
-                destroyHadron({ key: entry.key, PlayerId });
-                break;
-              case 'dmg':
-                damageHadron({ data: entry.data });
-                break;
-              default:
-                console.error('Unknown hadron data packet.');
-            }
-          }
-        }
-      });
-
-      socket.on('enterScene', (sceneName) => {
-        if (validatePlayer(PlayerId, socket, PlayerName)) {
-          // Leave the old room
-          socket.leave(connectedPlayerData.get(PlayerId).scene);
-          // Update our information about what room the player is in.
-          connectedPlayerData.get(PlayerId).scene = sceneName;
-          // Join the new room.
-          socket.join(sceneName);
-          // Move any held items to the new scene with player
-          hadrons.forEach((hadron, key) => {
-            if (hadron.hld === PlayerId) {
-              const newHadronData = hadrons.get(key);
-              newHadronData.scn = sceneName;
-              hadrons.set(key, newHadronData);
-            }
-          });
-
-          // Update the Important Item List every time they change scenes.
-          importantItemList = updatePlayerImportantItemList({
-            PlayerId,
-            socketId: socket.id,
-            previousImportantItemList: importantItemList,
-          });
-
-          // Log players who reach the finish
-          if (sceneName === 'CamelopardalisP1') {
-            console.log('Player Finished!');
-            try {
-              db.query('UPDATE Users SET finishedGame = 1 WHERE id = $1', [
-                PlayerId,
-              ]);
-            } catch (e) {
-              console.log(
-                'Error updating database with player finished setting.',
-              );
-            }
-          }
-
-          // Make sure they get an update and that it includes this room's data
-          flagSceneHasUpdated(sceneName);
-          throttledSendHadrons();
-          throttledSaveGameStateToDisk();
-        }
-      });
-
-      socket.on('createHadron', (data) => {
-        if (validatePlayer(PlayerId, socket, PlayerName)) {
-          // Typically this is used to create NPCs from data in the tilemap,
-          // although a client could also spawn one of these using internal logic.
-
-          // These come with their own permanent ID, and are not created if they already exist.
-          if (!hadrons.has(data.id)) {
-            // The hadron could exist in the inactive Map()
-            if (inactiveHadrons.has(data.id)) {
-              hadrons.set(data.id, { ...inactiveHadrons.get(data.id) });
-              inactiveHadrons.delete(data.id);
-            } else {
-              const newHadronData = { ...data };
-              if (!data.own) {
-                newHadronData.own = PlayerId;
-              }
-              newHadronData.ctr = PlayerId;
-              if (validateHadron.server(newHadronData)) {
-                hadrons.set(data.id, newHadronData);
-              }
-            }
-          }
-
-          // Resurrect all inactive hadrons owned by this hadron.
-          inactiveHadrons.forEach((hadron, key) => {
-            if (hadron.own === data.id) {
-              hadrons.set(key, hadron);
-              inactiveHadrons.delete(key);
-            }
-          });
-
-          flagSceneHasUpdated(data.scn);
-          throttledSendHadrons();
-          throttledSaveGameStateToDisk();
-        }
-      });
-
-      socket.on('command', async (data) => {
-        if (validatePlayer(PlayerId, socket, PlayerName)) {
-          const command = data.command.split(' ');
-          if (command.length > 0) {
-            if (command[0].toLowerCase() === 'help') {
-              let commandHelpOutput = 'The following commands are available:';
-              commandListArray.forEach((entry) => {
-                if (
-                  connectedPlayerData.get(PlayerId)?.isAdmin ||
-                  !entry.adminOnly
-                ) {
-                  commandHelpOutput += `<br/>${entry.name} - ${entry.description}`;
-                }
-              });
-              socket.emit('txt', {
-                typ: 'chat',
-                content: commandHelpOutput,
-              });
-            } else if (command[0].toLowerCase() === 'who') {
-              let whoResponse = '';
-              connectedPlayerData.forEach((entry) => {
-                whoResponse += `${entry.name} is in ${entry.scene}<br/>`;
-              });
-              socket.emit('txt', {
-                typ: 'chat',
-                content: whoResponse,
-              });
-            } else if (connectedPlayerData.get(PlayerId)?.isAdmin) {
-              console.log(`Admin command from ${PlayerName}:`, command);
-              // Admin only commands.
-              if (
-                (command.length > 2 && command[0].toLowerCase() === 'delete') ||
-                command[0].toLowerCase() === 'del'
-              ) {
-                // Deleting things while the clients are talking to the server
-                // often does not work, so we run the delete as part of a
-                // server restart.
-                const delRequestedHadrons = () => {
-                  hadrons.forEach((hadron, key) => {
-                    if (
-                      hadron.scn !== 'Library' &&
-                      hadron[command[1]] === command[2]
-                    ) {
-                      hadrons.delete(key);
-                    }
-                  });
-                  inactiveHadrons.forEach((hadron, key) => {
-                    if (
-                      hadron.scn !== 'Library' &&
-                      hadron[command[1]] === command[2]
-                    ) {
-                      inactiveHadrons.delete(key);
-                    }
-                  });
-                };
-                closeServer(delRequestedHadrons);
-              } else if (
-                (command[0].toLowerCase() === 'op' ||
-                  command[0].toLowerCase() === 'canchat' ||
-                  command[0].toLowerCase() === 'canmessage') &&
-                command.length === 2
-              ) {
-                const returnMessage = await addPrivilege({
-                  privilege: command[0].toLowerCase(),
-                  playerNameToOp: command[1],
-                  db,
-                  connectedPlayerData,
-                  socket,
-                });
-                if (returnMessage) {
-                  socket.emit('txt', {
-                    typ: 'chat',
-                    content: returnMessage,
-                  });
-                }
-              } else {
-                console.error('Unable to parse this command.');
-                socket.emit('txt', {
-                  typ: 'chat',
-                  content: `Unable to parse admin command.`,
-                });
-              }
-            } else {
+      // Catch them up on the chat they missed.
+      try {
+        const recentChat = await chatHistory.before({
+          channels: chatChannels.historyChannelsFor(
+            connectedPlayerData.get(PlayerId),
+          ),
+          limit: serverConfiguration.chatHistoryOnJoin,
+        });
+        if (recentChat.length > 0) {
+          // So that /history carries on from where this leaves off.
+          connectedPlayerData.get(PlayerId).chatHistoryBeforeId =
+            recentChat[recentChat.length - 1].id;
+          // The client scroll text box takes a moment to initialize.
+          setTimeout(() => {
+            recentChat.reverse().forEach((line) => {
               socket.emit('txt', {
                 typ: 'chat',
-                content: `Unknown command.`,
+                name: line.name,
+                content: line.content,
+                channel: chatChannels.channelFromHistory(line.channel),
               });
-            }
-          }
-        }
-      });
-
-      socket.on('grab', (id) => {
-        if (validatePlayer(PlayerId, socket, PlayerName) && hadrons.get(id)) {
-          const newHadronData = { ...hadrons.get(id) };
-          if (!newHadronData.hld) {
-            // Ask controlling client to update hadron.
-            socketEmitToId({
-              emitToId: connectedPlayerData.get(hadrons.get(id).ctr)?.socketId,
-              socketEvent: 'updateHadron',
-              data: {
-                id,
-                updates: [
-                  { key: 'own', value: PlayerId }, // Once you grab it, you own it.
-                  { key: 'ctr', value: PlayerId }, // You must control it to hold it.
-                  { key: 'hld', value: PlayerId }, // You are holding it.
-                  { key: 'pod', value: false }, // Held items should NOT persist in the world if you leave.
-                  { key: 'tcw', value: false }, // Held items should NOT transfer ownership on scene changes.
-                ],
-              },
             });
-          }
-        }
-      });
-
-      // Acknowledge pings for latency checking
-      socket.on('ping', (callback) => {
-        callback();
-      });
-
-      socket.on('disconnect', () => {
-        if (connectedPlayerData.has(PlayerId)) {
-          flagSceneHasUpdated(connectedPlayerData.get(PlayerId).scene);
+          }, 1000);
         }
-        connectedPlayerData.delete(PlayerId);
-
-        // Announce player's leaving.
-        socket.broadcast.emit('txt', {
-          typ: 'chat',
-          content: `${PlayerName} has left the game. :'(`,
-        });
-
-        // Handle all hadrons owned by this user.
-        hadrons.forEach((hadron, key) => {
-          if (hadron.own === PlayerId) {
-            // Default Behavior
-            let deleteHadron = true;
-            let archiveHadron = true;
-
-            // "Delete On Disconnect (dod)
-            if (hadron.dod) {
-              archiveHadron = false;
-              deleteHadron = true;
-            }
-
-            // "Persist On Disconnect (pod)
-            // Unless in the library, don't persist anyone's hadrons there
-            if (hadron.pod && hadron.scn !== 'Library') {
-              archiveHadron = false;
-              deleteHadron = false;
-            }
-
-            if (archiveHadron) {
-              inactiveHadrons.set(key, { ...hadron });
-              // Set the owner back to being the controller.
-              inactiveHadrons.get(key).ctr = PlayerId;
-            }
+      } catch (e) {
+        log.error('Unable to send chat history', { error: e.message });
+      }
 
-            // Hadron Delete code.
-            if (deleteHadron) {
-              // If the hadron was transferred,
-              // the controller won't delete the hadron from their own list,
-              // so we have to force it to delete the hadron.
-              if (
-                hadron.ctr !== PlayerId &&
-                connectedPlayerData.has(hadron.ctr)
-              ) {
-                socket
-                  .to(connectedPlayerData.get(hadron.ctr).socketId)
-                  .emit('deleteHadron', key);
-              }
-
-              // Delete it.
-              hadrons.delete(key);
-            }
-          }
+      // Let their friends know they are here.
+      try {
+        await friends.notify({
+          db,
+          connectedPlayerData,
+          socketEmitToId,
+          userId: PlayerId,
+          content: `Your friend ${PlayerName} has joined the game in ${newPlayerHadron.scn}!`,
         });
-        throttledSendHadrons();
-        throttledSaveGameStateToDisk();
+      } catch (e) {
+        log.error('Unable to notify friends', { error: e.message });
+      }
 
-        console.log(`${PlayerName} disconnected`);
-      });
+      // End of "on join" code.
+      // -------------------------------------------------
+      // Everything the client can send us from now on is in the socketHandlers folder.
+      socketHandlerRegistry.attach(player);
     } catch (e) {
       if (e) {
-        console.error(e.message);
+        authLog.warn('Failed to handle token receipt', { error: e.message });
       } else {
-        console.error('Failed to handle token receipt.');
+        authLog.warn('Failed to handle token receipt.');
+      }
+      if (e?.ban) {
+        socket.emit('banned', { reason: e.ban.reason, expires: e.ban.expires });
+      } else {
+        socket.emit('unauthorized');
       }
-      socket.emit('unauthorized');
       await wait(500); // I think the client needs a moment to receive the message and deal with it.
       socket.disconnect();
     }
@@ -1414,18 +1810,17 @@ setTimeout(() => {
   });
 }, 30000); // Hopefully enough delay for the clients to all be ready.
 
-console.log(`Small Hadron Cooperator is running`);
+log.info(`Small Hadron Cooperator is running`);
 
 process.on('SIGINT', () => {
   closeServer();
 });
 
 if (process.env.CI_TEST_RUN === 'true') {
-  console.log('===========================================');
-  console.log('CI Test environment detected,');
-  console.log('Server will self-terminate in 45 seconds...');
+  log.warn(
+    'CI Test environment detected, Server will self-terminate in 45 seconds...',
+  );
   setTimeout(() => {
-    console.log('===========================================');
     closeServer();
   }, 45000);
 }
@@ -0,0 +1,755 @@
+import setRole from '../utilities/setRole.js';
+import deleteHadrons from '../utilities/deleteHadrons.js';
+import moderation from '../utilities/moderation.js';
+import permissions from '../utilities/permissions.js';
+import logger from '../utilities/logger.js';
+import chatChannels from '../utilities/chatChannels.js';
+import mail from '../utilities/mail.js';
+import friends from '../utilities/friends.js';
+import passwordResetCodes from '../utilities/passwordResetCodes.js';
+
+const log = logger.forSubsystem('commands');
+
+// Every command declares the permission needed to use it.
+// Commands with no permission are available to everyone.
+// Some of these are handled by the client, but are listed here for the help command.
+const commandListArray = [
+  {
+    name: 'tp [scene name]',
+    description: 'Teleport to a scene.',
+    permission: 'teleport',
+  },
+  {
+    name: 'who',
+    description: 'List currently online players.',
+  },
+  { name: 'exit', description: 'Exit to intro screen.' },
+  {
+    name: 's',
+    description: 'Talk in scene chat, to everyone in the same scene.',
+    permission: 'chat',
+  },
+  {
+    name: 'g',
+    description: 'Talk in global chat, to everyone online.',
+    permission: 'chat',
+  },
+  {
+    name: 'whisper [player name] [text]',
+    description: 'Send [text] to [player name] only.',
+    permission: 'chat',
+  },
+  {
+    name: 'reply [text]',
+    description: 'Whisper [text] back to whoever last whispered to you.',
+    permission: 'chat',
+  },
+  {
+    name: 'mail [player name] [text]',
+    description:
+      'Leave a letter for [player name], to read whenever they are next online.',
+    permission: 'chat',
+  },
+  {
+    name: 'inbox',
+    description: 'List the letters you have been sent.',
+  },
+  {
+    name: 'read [number]',
+    description:
+      'Read letter [number] from your /inbox. Leave out [number] to read the oldest unread letter.',
+  },
+  {
+    name: 'friend [add|remove] [player name]',
+    description:
+      'Add [player name] to your friends list, or remove them. You will hear when your friends come online, go offline or change scenes.',
+  },
+  {
+    name: 'friend list',
+    description: 'List your friends, and where they are.',
+  },
+  {
+    name: 'history [count]',
+    description:
+      'Show [count] more lines of earlier chat from the channels you hear. Use it again to go further back.',
+  },
+  {
+    name: 'join [channel]',
+    description:
+      'Join a chat channel and talk in it. Leave out [channel] to see which channels you are in.',
+    permission: 'chat',
+  },
+  { name: 'help', description: 'Displays this message.' },
+  {
+    name: 'dumpPlayerObject',
+    description: 'Log player object to console for debugging.',
+    permission: 'debug',
+  },
+  {
+    name: 'dumpClientSprites',
+    description: 'Log clientSprites Map() to console for debugging.',
+    permission: 'debug',
+  },
+  {
+    name: 'dumpHadrons',
+    description: 'Log hadrons Map() to console for debugging.',
+    permission: 'debug',
+  },
+  {
+    name: 'dumpDeletedHadronList',
+    description: 'Log deletedHadronList Array to console for debugging.',
+    permission: 'debug',
+  },
+  {
+    name: 'del [key]=[value] ... [--dry-run]',
+    description:
+      'Delete hadrons matching every [key]=[value] filter, such as del scn=CamelopardalisH8 typ=message. Add --dry-run to list matches without deleting them.',
+    permission: 'deleteHadrons',
+  },
+  {
+    name: 'roles [player name]',
+    description:
+      'List the roles that [player name] has. Leave out [player name] to list every role and its permissions.',
+    permission: 'manageRoles',
+  },
+  {
+    name: 'grant [role] [player name]',
+    description: 'Give [role] to [player name].',
+    permission: 'manageRoles',
+  },
+  {
+    name: 'revoke [role] [player name]',
+    description: 'Take [role] away from [player name].',
+    permission: 'manageRoles',
+  },
+  {
+    name: 'op [player name]',
+    description: 'Give the admin role to [player name].',
+    permission: 'manageRoles',
+  },
+  {
+    name: 'deop [player name]',
+    description: 'Take the admin role away from [player name].',
+    permission: 'manageRoles',
+  },
+  {
+    name: 'canChat [player name]',
+    description: 'Give the chatter role to [player name].',
+    permission: 'manageRoles',
+  },
+  {
+    name: 'canMessage [player name]',
+    description: 'Give the messenger role to [player name].',
+    permission: 'manageRoles',
+  },
+  {
+    name: 'kick [player name] [reason]',
+    description: 'Disconnect [player name]. They can sign in again right away.',
+    permission: 'moderate',
+  },
+  {
+    name: 'ban [player name] [duration] [reason]',
+    description:
+      'Ban [player name] for [duration], such as 30m, 12h, 7d or 2w. Leave out [duration] to ban them permanently.',
+    permission: 'moderate',
+  },
+  {
+    name: 'unban [player name]',
+    description: 'Lift any bans on [player name].',
+    permission: 'moderate',
+  },
+  {
+    name: 'mute [player name] [duration] [reason]',
+    description:
+      'Stop [player name] from chatting for [duration]. Leave out [duration] to mute them permanently.',
+    permission: 'moderate',
+  },
+  {
+    name: 'unmute [player name]',
+    description: 'Lift any mutes on [player name].',
+    permission: 'moderate',
+  },
+  {
+    name: 'resetCode [player name]',
+    description:
+      'Make a one-time code that [player name] can use on the sign-in page to set a new password, if they have forgotten theirs.',
+    permission: 'resetPasswords',
+  },
+  {
+    name: 'exportHadrons',
+    description:
+      'Write the game state to hadrons-export.json5 in the persistent data folder.',
+    permission: 'manageServer',
+  },
+  {
+    name: 'backup',
+    description: 'Back up the game state now.',
+    permission: 'manageServer',
+  },
+  {
+    name: 'backups',
+    description: 'List the game state backups, newest first.',
+    permission: 'manageServer',
+  },
+  {
+    name: 'restoreBackup [number or name]',
+    description:
+      'Shut down the server and roll the world back to a backup from the /backups list.',
+    permission: 'manageServer',
+  },
+];
+
+const commandAliases = {
+  delete: 'del',
+};
+
+function findCommand(commandName) {
+  const name = commandAliases[commandName] || commandName;
+  return commandListArray.find(
+    (entry) => entry.name.split(' ')[0].toLowerCase() === name,
+  );
+}
+
+// The shortcuts that were used before there were roles.
+const roleShortcuts = {
+  op: { roleName: 'admin', grant: true },
+  deop: { roleName: 'admin', grant: false },
+  canchat: { roleName: 'chatter', grant: true },
+  canmessage: { roleName: 'messenger', grant: true },
+};
+
+const moderationCommands = ['kick', 'ban', 'unban', 'mute', 'unmute'];
+
+// Players might be offline, so look them up in the database instead of connectedPlayerData.
+// Names can have spaces in them, so the longest run of words that is a player's name wins,
+// and whatever is left over is returned as the rest of the command.
+async function findPlayerByName({ db, words }) {
+  for (let wordCount = words.length; wordCount > 0; wordCount--) {
+    // LIKE allows for case-insensitive name comparison.
+    // Usernames shouldn't be case-sensitive.
+    // eslint-disable-next-line no-await-in-loop
+    const result = await db.query(
+      'SELECT id, name FROM Users WHERE name LIKE ? AND deleted = 0',
+      [words.slice(0, wordCount).join(' ')],
+    );
+    if (result.rows.length > 0) {
+      return { target: result.rows[0], rest: words.slice(wordCount) };
+    }
+  }
+  return { rest: words };
+}
+
+async function moderate({ context, player, command }) {
+  const { db, connectedPlayerData } = context;
+  const action = command[0].toLowerCase();
+  const { target, rest } = await findPlayerByName({
+    db,
+    words: command.slice(1),
+  });
+  if (!target) {
+    return `There is no player named ${command.slice(1).join(' ')}.`;
+  }
+  if (target.id === player.id && action !== 'unban' && action !== 'unmute') {
+    return `You cannot ${action} yourself.`;
+  }
+  if (action !== 'unban' && action !== 'unmute') {
+    // Moderators can't remove each other, or admins. Only someone who can change their roles can.
+    const targetPermissions = await permissions.getPermissions({
+      db,
+      userId: target.id,
+    });
+    if (
+      targetPermissions.includes('moderate') &&
+      !permissions.hasPermission(
+        connectedPlayerData.get(player.id),
+        'manageRoles',
+      )
+    ) {
+      return `You cannot ${action} ${target.name}, because they are also a moderator.`;
+    }
+  }
+
+  if (action === 'kick') {
+    if (!connectedPlayerData.has(target.id)) {
+      return `${target.name} is not online.`;
+    }
+    const reason = rest.join(' ');
+    log.warn(`${player.name} kicked ${target.name}: ${reason}`);
+    await context.kickPlayer({
+      PlayerId: target.id,
+      socketEvent: 'kicked',
+      data: { reason },
+    });
+    return `${target.name} was kicked.`;
+  }
+
+  if (action === 'unban' || action === 'unmute') {
+    const kind = action === 'unban' ? 'ban' : 'mute';
+    const state = kind === 'ban' ? 'banned' : 'muted';
+    const lifted = await moderation.lift({ db, userId: target.id, kind });
+    if (!lifted) {
+      return `${target.name} is not ${state}.`;
+    }
+    if (kind === 'mute' && connectedPlayerData.has(target.id)) {
+      delete connectedPlayerData.get(target.id).mute;
+    }
+    log.warn(`${player.name}: ${target.name} is no longer ${state}`);
+    return `${target.name} is no longer ${state}.`;
+  }
+
+  // Ban and mute
+  let duration = moderation.parseDuration(rest[0]);
+  let reason = rest.slice(1).join(' ');
+  if (duration === undefined) {
+    // No duration given, so it is permanent and everything after the name is the reason.
+    duration = null;
+    reason = rest.join(' ');
+  }
+  const record = await moderation.add({
+    db,
+    userId: target.id,
+    kind: action,
+    duration,
+    reason,
+    createdBy: player.name,
+  });
+  const description = `${target.name} was ${
+    action === 'ban' ? 'banned' : 'muted'
+  } ${moderation.describe(record)}`;
+  log.warn(`${player.name}: ${description}`);
+  if (connectedPlayerData.has(target.id)) {
+    if (action === 'ban') {
+      await context.kickPlayer({
+        PlayerId: target.id,
+        socketEvent: 'banned',
+        data: { reason: record.reason, expires: record.expires },
+      });
+    } else {
+      connectedPlayerData.get(target.id).mute = record;
+    }
+  }
+  return description;
+}
+
+// Private messages. Both sides see them, marked as whispers.
+// They are not kept in chat history.
+async function whisper({ context, player, command }) {
+  const { db, connectedPlayerData, socketEmitToId } = context;
+  const connectedPlayer = connectedPlayerData.get(player.id);
+  if (moderation.isMuted(connectedPlayer)) {
+    return `You are muted ${moderation.describe(connectedPlayer.mute)}`;
+  }
+  let target;
+  let words;
+  if (command[0].toLowerCase() === 'reply') {
+    if (!connectedPlayer.lastWhisperFrom) {
+      return 'Nobody has whispered to you yet.';
+    }
+    target = connectedPlayer.lastWhisperFrom;
+    words = command.slice(1);
+  } else {
+    const found = await findPlayerByName({ db, words: command.slice(1) });
+    if (!found.target) {
+      return `There is no player named ${command.slice(1).join(' ')}.`;
+    }
+    target = found.target;
+    words = found.rest;
+  }
+  const text = words.join(' ');
+  if (!text) {
+    return 'What do you want to whisper?';
+  }
+  if (!connectedPlayerData.has(target.id)) {
+    return `${target.name} is not online.`;
+  }
+  const targetPlayer = connectedPlayerData.get(target.id);
+  targetPlayer.lastWhisperFrom = { id: player.id, name: player.name };
+  log.debug(`${player.name} whispered to ${target.name}`);
+  socketEmitToId({
+    emitToId: targetPlayer.socketId,
+    socketEvent: 'txt',
+    data: {
+      typ: 'chat',
+      name: player.name,
+      content: text,
+      whisper: 'from',
+    },
+  });
+  // This goes back through txt instead of the usual command reply,
+  // so that it is shown the same way as the whisper that was sent.
+  player.socket.emit('txt', {
+    typ: 'chat',
+    name: target.name,
+    content: text,
+    whisper: 'to',
+  });
+  return undefined;
+}
+
+async function sendMail({ context, player, command }) {
+  const { db, connectedPlayerData, socketEmitToId } = context;
+  const connectedPlayer = connectedPlayerData.get(player.id);
+  if (moderation.isMuted(connectedPlayer)) {
+    return `You are muted ${moderation.describe(connectedPlayer.mute)}`;
+  }
+  const { target, rest } = await findPlayerByName({
+    db,
+    words: command.slice(1),
+  });
+  if (!target) {
+    return `There is no player named ${command.slice(1).join(' ')}.`;
+  }
+  const content = rest.join(' ');
+  if (!content) {
+    return 'What do you want your letter to say?';
+  }
+  const error = await mail.send({
+    db,
+    from: { id: player.id, name: player.name },
+    to: target,
+    content,
+  });
+  if (error) {
+    return error;
+  }
+  log.debug(`${player.name} sent mail to ${target.name}`);
+  if (connectedPlayerData.has(target.id)) {
+    socketEmitToId({
+      emitToId: connectedPlayerData.get(target.id).socketId,
+      socketEvent: 'txt',
+      data: {
+        typ: 'chat',
+        content: `You have a new letter from ${player.name}. Use /read to read it.`,
+      },
+    });
+  }
+  return `Your letter to ${target.name} was sent.`;
+}
+
+async function manageFriends({ context, player, command }) {
+  const { db, connectedPlayerData } = context;
+  const action = command[1].toLowerCase();
+  if (action === 'list') {
+    const friendList = await friends.list({ db, userId: player.id });
+    if (friendList.length === 0) {
+      return 'Your friends list is empty. Use /friend add [player name] to add someone.';
+    }
+    let output = 'Your friends:';
+    friendList.forEach((friend) => {
+      output += `<br/>${friend.name} - ${
+        connectedPlayerData.has(friend.id)
+          ? `online in ${connectedPlayerData.get(friend.id).scene}`
+          : 'offline'
+      }`;
+    });
+    return output;
+  }
+  if ((action !== 'add' && action !== 'remove') || command.length < 3) {
+    return 'Use /friend add [player name], /friend remove [player name] or /friend list.';
+  }
+  const { target } = await findPlayerByName({ db, words: command.slice(2) });
+  if (!target) {
+    return `There is no player named ${command.slice(2).join(' ')}.`;
+  }
+  return friends[action]({ db, userId: player.id, friend: target });
+}
+
+function formatMailDate(timestamp) {
+  return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+async function listMail({ db, player }) {
+  const letters = await mail.list({ db, userId: player.id });
+  if (letters.length === 0) {
+    return 'You have no letters.';
+  }
+  let output = 'Your letters, newest first. Use /read [number] to read one.';
+  letters.forEach((letter, index) => {
+    const preview =
+      letter.content.length > 40
+        ? `${letter.content.slice(0, 40)}...`
+        : letter.content;
+    output += `<br/>${index + 1}. ${letter.read ? '' : '(new) '}From ${
+      letter.fromName
+    } on ${formatMailDate(letter.timestamp)}: ${preview}`;
+  });
+  return output;
+}
+
+async function readMail({ db, player, number }) {
+  const letter = await mail.read({
+    db,
+    userId: player.id,
+    number: number === undefined ? undefined : Number(number),
+  });
+  if (!letter) {
+    return number === undefined
+      ? 'You have no unread letters.'
+      : `There is no letter number ${number} in your /inbox.`;
+  }
+  return `From ${letter.fromName} on ${formatMailDate(letter.timestamp)}:<br/>${
+    letter.content
+  }`;
+}
+
+// Page back through chat history, from just before the oldest line the player has seen.
+async function showChatHistory({ context, player, count }) {
+  const connectedPlayer = context.connectedPlayerData.get(player.id);
+  const limit = Math.min(Number(count) || 20, 100);
+  const lines = await context.chatHistory.before({
+    channels: chatChannels.historyChannelsFor(connectedPlayer),
+    beforeId: connectedPlayer.chatHistoryBeforeId,
+    limit,
+  });
+  if (lines.length === 0) {
+    return 'There is no earlier chat.';
+  }
+  connectedPlayer.chatHistoryBeforeId = lines[lines.length - 1].id;
+  let output = 'Earlier chat:';
+  lines.reverse().forEach((line) => {
+    output += `<br/>[${chatChannels.channelFromHistory(line.channel)}] ${
+      line.name
+    }: ${line.content}`;
+  });
+  return output;
+}
+
+async function makeResetCode({ context, player, command }) {
+  const { target } = await findPlayerByName({
+    db: context.db,
+    words: command.slice(1),
+  });
+  if (!target) {
+    return `There is no player named ${command.slice(1).join(' ')}.`;
+  }
+  const { code, expires } = await passwordResetCodes.create({
+    db: context.db,
+    userId: target.id,
+    createdBy: player.name,
+    saltRounds: context.config.saltRounds,
+  });
+  log.warn(`${player.name} made a password reset code for ${target.name}`);
+  return `Reset code for ${target.name}: ${code}<br/>It works once, until ${new Date(
+    expires * 1000,
+  ).toUTCString()}. Any earlier code for them no longer works. Only give it to them.`;
+}
+
+async function describeRoles({ db, words }) {
+  if (words.length === 0) {
+    const result = await db.query(
+      `SELECT Roles.name, Roles.description, GROUP_CONCAT(RolePermissions.permission, ', ') AS permissions
+       FROM Roles LEFT JOIN RolePermissions ON Roles.name = RolePermissions.role
+       GROUP BY Roles.name ORDER BY Roles.name`,
+      [],
+    );
+    let output = 'Roles:';
+    result.rows.forEach((row) => {
+      output += `<br/>${row.name} - ${row.description} (${
+        row.permissions || 'no permissions'
+      })`;
+    });
+    return output;
+  }
+  const { target } = await findPlayerByName({ db, words });
+  if (!target) {
+    return `There is no player named ${words.join(' ')}.`;
+  }
+  const roles = await permissions.getRoles({ db, userId: target.id });
+  if (roles.length === 0) {
+    return `${target.name} has no roles.`;
+  }
+  return `${target.name} has the roles: ${roles.join(', ')}`;
+}
+
+// Any "/" command that the client does not handle itself is sent here.
+export default {
+  event: 'command',
+  validate: (data) => typeof data?.command === 'string',
+  handle: async ({ context, player, data }) => {
+    const { connectedPlayerData, db } = context;
+    const socket = player.socket;
+    const command = data.command.split(' ');
+    const commandName = command[0].toLowerCase();
+    const commandEntry = findCommand(commandName);
+    let content;
+    if (!commandEntry) {
+      content = 'Unknown command.';
+    } else if (
+      commandEntry.permission &&
+      !permissions.hasPermission(
+        connectedPlayerData.get(player.id),
+        commandEntry.permission,
+      )
+    ) {
+      content = `You do not have permission to use ${command[0]}.`;
+    } else {
+      if (commandEntry.permission) {
+        log.info(`${commandEntry.permission} command from ${player.name}`, {
+          command: data.command,
+        });
+      }
+      if (commandName === 'help') {
+        content = 'The following commands are available:';
+        commandListArray.forEach((entry) => {
+          if (
+            !entry.permission ||
+            permissions.hasPermission(
+              connectedPlayerData.get(player.id),
+              entry.permission,
+            )
+          ) {
+            content += `<br/>${entry.name} - ${entry.description}`;
+          }
+        });
+      } else if (commandName === 'who') {
+        content = '';
+        connectedPlayerData.forEach((entry) => {
+          content += `${entry.name} is in ${entry.scene}<br/>`;
+        });
+      } else if (commandName === 's' || commandName === 'g') {
+        content = chatChannels.switchTo({
+          player,
+          connectedPlayer: connectedPlayerData.get(player.id),
+          channelName:
+            commandName === 's'
+              ? chatChannels.sceneChannel
+              : chatChannels.globalChannel,
+        });
+      } else if (
+        (commandName === 'whisper' && command.length > 1) ||
+        commandName === 'reply'
+      ) {
+        content = await whisper({ context, player, command });
+      } else if (commandName === 'friend' && command.length > 1) {
+        content = await manageFriends({ context, player, command });
+      } else if (commandName === 'mail' && command.length > 1) {
+        content = await sendMail({ context, player, command });
+      } else if (commandName === 'inbox') {
+        content = await listMail({ db, player });
+      } else if (commandName === 'read') {
+        content = await readMail({ db, player, number: command[1] });
+      } else if (commandName === 'history') {
+        content = await showChatHistory({
+          context,
+          player,
+          count: command[1],
+        });
+      } else if (commandName === 'join') {
+        content =
+          command.length > 1
+            ? chatChannels.switchTo({
+                player,
+                connectedPlayer: connectedPlayerData.get(player.id),
+                channelName: command[1],
+              })
+            : chatChannels.describe(connectedPlayerData.get(player.id));
+      } else if (commandName === 'delete' || commandName === 'del') {
+        const { filters, dryRun, error } = deleteHadrons.parseFilters(
+          command.slice(1),
+        );
+        if (error) {
+          content = error;
+        } else {
+          const matches = deleteHadrons.deleteHadrons({
+            context,
+            filters,
+            dryRun,
+          });
+          content = `${dryRun ? 'Would delete' : 'Deleted'} ${
+            matches.length
+          } hadron${matches.length === 1 ? '' : 's'}.`;
+          // Listing thousands of hadrons in the chat box helps nobody.
+          const listLimit = 20;
+          matches.slice(0, listLimit).forEach((hadron) => {
+            content += `<br/>${hadron.id} ${hadron.typ} in ${hadron.scn}`;
+          });
+          if (matches.length > listLimit) {
+            content += `<br/>...and ${matches.length - listLimit} more.`;
+          }
+          if (!dryRun) {
+            log.warn(`${player.name} deleted ${matches.length} hadrons`, {
+              filters,
+            });
+          }
+        }
+      } else if (
+        moderationCommands.indexOf(commandName) > -1 &&
+        command.length > 1
+      ) {
+        content = await moderate({ context, player, command });
+      } else if (commandName === 'roles') {
+        content = await describeRoles({ db, words: command.slice(1) });
+      } else if (roleShortcuts[commandName] && command.length > 1) {
+        content = await setRole({
+          ...roleShortcuts[commandName],
+          playerName: command.slice(1).join(' '),
+          db,
+          connectedPlayerData,
+          socketEmitToId: context.socketEmitToId,
+        });
+      } else if (
+        (commandName === 'grant' || commandName === 'revoke') &&
+        command.length > 2
+      ) {
+        content = await setRole({
+          roleName: command[1],
+          grant: commandName === 'grant',
+          playerName: command.slice(2).join(' '),
+          db,
+          connectedPlayerData,
+          socketEmitToId: context.socketEmitToId,
+        });
+      } else if (commandName === 'resetcode' && command.length > 1) {
+        content = await makeResetCode({ context, player, command });
+      } else if (commandName === 'exporthadrons') {
+        try {
+          const exportFile = await context.exportGameState();
+          content = `Game state exported to ${exportFile}`;
+        } catch (e) {
+          log.error('Error exporting game state', { error: e.message });
+          content = 'Error exporting game state.';
+        }
+      } else if (commandName === 'backup') {
+        try {
+          const fileName = await context.backupGameState();
+          content = `Game state backed up to ${fileName}`;
+        } catch (e) {
+          log.error('Error backing up game state', { error: e.message });
+          content = 'Error backing up game state.';
+        }
+      } else if (commandName === 'backups') {
+        const backups = await context.listGameStateBackups();
+        content =
+          backups.length === 0
+            ? 'There are no backups.'
+            : backups
+                .map((fileName, index) => `${index + 1}. ${fileName}`)
+                .join('<br/>');
+      } else if (commandName === 'restorebackup' && command.length > 1) {
+        const fileName = await context.findGameStateBackup(command[1]);
+        if (!fileName) {
+          content = `No single backup matches ${command[1]}. Use /backups to list them.`;
+        } else {
+          try {
+            await context.restoreGameState(fileName);
+            content = `Restoring ${fileName}. The server is shutting down.`;
+          } catch (e) {
+            log.error(`Error restoring game state from ${fileName}`, {
+              error: e.message,
+            });
+            content = `Unable to restore ${fileName}: ${e.message}`;
+          }
+        }
+      } else {
+        log.info('Unable to parse this command.', { command: data.command });
+        content = 'Unable to parse command.';
+      }
+    }
+    if (content !== undefined) {
+      socket.emit('txt', {
+        typ: 'chat',
+        content,
+      });
+    }
+  },
+};
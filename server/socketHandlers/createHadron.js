@@ -0,0 +1,56 @@
+import sceneManifest from '../utilities/sceneManifest.js';
+import rejectInvalidHadron from '../utilities/rejectInvalidHadron.js';
+
+// Typically this is used to create NPCs from data in the tilemap,
+// although a client could also spawn one of these using internal logic.
+export default {
+  event: 'createHadron',
+  validate: (data) =>
+    typeof data === 'object' && data !== null && sceneManifest.has(data.scn),
+  handle: ({ context, player, data }) => {
+    const { hadrons, inactiveHadrons, deletedHadronIds } = context;
+    if (deletedHadronIds.has(data.id)) {
+      // Spawning from the tilemap is how deleted NPCs are meant to come back,
+      // with fresh data, so tilemap quarks, which own themselves, are let back in.
+      // Anything else that was deleted is blocked, like updates to deleted hadrons are.
+      if (data.typ !== 'quark' || data.own !== data.id) {
+        context.socketEmitToId({
+          emitToId: player.socket.id,
+          socketEvent: 'deleteHadron',
+          data: data.id,
+        });
+        return;
+      }
+      deletedHadronIds.delete(data.id);
+    }
+    // These come with their own permanent ID, and are not created if they already exist.
+    if (!hadrons.has(data.id)) {
+      // The hadron could exist in the inactive Map()
+      if (inactiveHadrons.has(data.id)) {
+        hadrons.set(data.id, { ...inactiveHadrons.get(data.id) });
+        inactiveHadrons.delete(data.id);
+      } else {
+        const newHadronData = { ...data };
+        if (!data.own) {
+          newHadronData.own = player.id;
+        }
+        newHadronData.ctr = player.id;
+        if (!rejectInvalidHadron({ context, player, hadron: newHadronData })) {
+          hadrons.set(data.id, newHadronData);
+        }
+      }
+    }
+
+    // Resurrect all inactive hadrons owned by this hadron.
+    inactiveHadrons.forEach((hadron, key) => {
+      if (hadron.own === data.id) {
+        hadrons.set(key, hadron);
+        inactiveHadrons.delete(key);
+      }
+    });
+
+    context.flagSceneHasUpdated(data.scn);
+    context.throttledSendHadrons();
+    context.throttledSaveGameStateToDisk();
+  },
+};
@@ -0,0 +1,82 @@
+import logger from '../utilities/logger.js';
+import sceneManifest from '../utilities/sceneManifest.js';
+import friends from '../utilities/friends.js';
+
+const log = logger.forSubsystem('auth');
+
+export default {
+  event: 'disconnect',
+  // The player is already gone, so there is nobody left to validate.
+  requiresValidPlayer: false,
+  handle: ({ context, player }) => {
+    const { hadrons, inactiveHadrons, connectedPlayerData } = context;
+    const PlayerId = player.id;
+    if (connectedPlayerData.has(PlayerId)) {
+      context.flagSceneHasUpdated(connectedPlayerData.get(PlayerId).scene);
+    }
+    connectedPlayerData.delete(PlayerId);
+    context.metrics.remove('witchazzan_hadron_data_packets_received_total', {
+      socket: player.socket.id,
+    });
+
+    // Let their friends know they have gone.
+    friends
+      .notify({
+        db: context.db,
+        connectedPlayerData,
+        socketEmitToId: context.socketEmitToId,
+        userId: PlayerId,
+        content: `Your friend ${player.name} has left the game. :'(`,
+      })
+      .catch((e) => {
+        log.error('Unable to notify friends', { error: e.message });
+      });
+
+    // Handle all hadrons owned by this user.
+    hadrons.forEach((hadron, key) => {
+      if (hadron.own === PlayerId) {
+        // Default Behavior
+        let deleteHadron = true;
+        let archiveHadron = true;
+
+        // "Delete On Disconnect (dod)
+        if (hadron.dod) {
+          archiveHadron = false;
+          deleteHadron = true;
+        }
+
+        // "Persist On Disconnect (pod)
+        // Unless in an instanced scene like the library, don't persist anyone's hadrons there
+        if (hadron.pod && !sceneManifest.isInstanced(hadron.scn)) {
+          archiveHadron = false;
+          deleteHadron = false;
+        }
+
+        if (archiveHadron) {
+          inactiveHadrons.set(key, { ...hadron });
+          // Set the owner back to being the controller.
+          inactiveHadrons.get(key).ctr = PlayerId;
+        }
+
+        // Hadron Delete code.
+        if (deleteHadron) {
+          // If the hadron was transferred,
+          // the controller won't delete the hadron from their own list,
+          // so we have to force it to delete the hadron.
+          if (hadron.ctr !== PlayerId && connectedPlayerData.has(hadron.ctr)) {
+            player.socket
+              .to(connectedPlayerData.get(hadron.ctr).socketId)
+              .emit('deleteHadron', key);
+          }
+
+          // Delete it.
+          hadrons.delete(key);
+        }
+      }
+    });
+    context.throttledSendHadrons();
+    context.throttledSaveGameStateToDisk();
+
+    log.info(`${player.name} disconnected`);
+  },
+};
@@ -0,0 +1,105 @@
+import logger from '../utilities/logger.js';
+import sceneManifest from '../utilities/sceneManifest.js';
+import friends from '../utilities/friends.js';
+import movementCheck from '../utilities/movementCheck.js';
+import permissions from '../utilities/permissions.js';
+
+const log = logger.forSubsystem('hadrons');
+
+// The player has moved to a new scene.
+export default {
+  event: 'enterScene',
+  validate: (sceneName) => sceneManifest.isPlayable(sceneName),
+  handle: ({ context, player, data: sceneName }) => {
+    const { hadrons, connectedPlayerData, db } = context;
+    const connectedPlayer = connectedPlayerData.get(player.id);
+    const previousScene = connectedPlayer.scene;
+    // Joining a scene's room is how its hadrons and chat are sent,
+    // so it follows the same rules as moving the player's hadron there.
+    // Until the player has moved, the scene they joined in is where they are.
+    const last = connectedPlayer.movement?.scn
+      ? connectedPlayer.movement
+      : { scn: previousScene };
+    if (
+      last.scn !== sceneName &&
+      !movementCheck.canChangeScene({
+        last,
+        sceneName,
+        canTeleport: permissions.hasPermission(connectedPlayer, 'teleport'),
+        defaultOpeningScene: context.config.defaultOpeningScene,
+      })
+    ) {
+      log.info(
+        `${player.name} tried to enter ${sceneName} from ${last.scn} without using an exit`,
+      );
+      if (last.x !== undefined) {
+        context.socketEmitToId({
+          emitToId: player.socket.id,
+          socketEvent: 'correctPosition',
+          data: { scn: last.scn, x: last.x, y: last.y },
+        });
+      }
+      return;
+    }
+    // Leave the old room
+    player.socket.leave(previousScene);
+    // Update our information about what room the player is in.
+    connectedPlayer.scene = sceneName;
+    // Join the new room.
+    player.socket.join(sceneName);
+    // Move any held items to the new scene with player
+    hadrons.forEach((hadron, key) => {
+      if (hadron.hld === player.id) {
+        const newHadronData = hadrons.get(key);
+        newHadronData.scn = sceneName;
+        hadrons.set(key, newHadronData);
+      }
+    });
+
+    // Let their friends know where they went.
+    if (previousScene !== sceneName) {
+      friends
+        .notify({
+          db,
+          connectedPlayerData,
+          socketEmitToId: context.socketEmitToId,
+          userId: player.id,
+          content: `Your friend ${player.name} went to ${sceneName}.`,
+        })
+        .catch((e) => {
+          log.error('Unable to notify friends', { error: e.message });
+        });
+    }
+
+    // Update the Important Item List every time they change scenes.
+    player.importantItemList = context.updatePlayerImportantItemList({
+      PlayerId: player.id,
+      socketId: player.socket.id,
+      previousImportantItemList: player.importantItemList,
+    });
+
+    // Log players who reach the finish
+    if (sceneName === 'CamelopardalisP1') {
+      log.info(`${player.name} finished the game!`);
+      try {
+        db.query('UPDATE Users SET finishedGame = 1 WHERE id = $1', [
+          player.id,
+        ]);
+      } catch (e) {
+        log.error('Error updating database with player finished setting.', {
+          error: e.message,
+        });
+      }
+    }
+
+    // Make sure they get an update and that it includes this room's data
+    context.sendHadronSnapshot({
+      socketId: player.socket.id,
+      playerId: player.id,
+      scene: sceneName,
+    });
+    context.flagSceneHasUpdated(sceneName);
+    context.throttledSendHadrons();
+    context.throttledSaveGameStateToDisk();
+  },
+};
@@ -0,0 +1,28 @@
+// The player wants to pick up an item.
+export default {
+  event: 'grab',
+  handle: ({ context, player, data: id }) => {
+    const { hadrons, connectedPlayerData } = context;
+    if (!hadrons.get(id)) {
+      return;
+    }
+    const newHadronData = { ...hadrons.get(id) };
+    if (!newHadronData.hld) {
+      // Ask controlling client to update hadron.
+      context.socketEmitToId({
+        emitToId: connectedPlayerData.get(hadrons.get(id).ctr)?.socketId,
+        socketEvent: 'updateHadron',
+        data: {
+          id,
+          updates: [
+            { key: 'own', value: player.id }, // Once you grab it, you own it.
+            { key: 'ctr', value: player.id }, // You must control it to hold it.
+            { key: 'hld', value: player.id }, // You are holding it.
+            { key: 'pod', value: false }, // Held items should NOT persist in the world if you leave.
+            { key: 'tcw', value: false }, // Held items should NOT transfer ownership on scene changes.
+          ],
+        },
+      });
+    }
+  },
+};
@@ -0,0 +1,278 @@
+import hadronHealth from '../utilities/hadronHealth.js';
+import permissions from '../utilities/permissions.js';
+import logger from '../utilities/logger.js';
+import sceneManifest from '../utilities/sceneManifest.js';
+import movementCheck from '../utilities/movementCheck.js';
+import rejectInvalidHadron from '../utilities/rejectInvalidHadron.js';
+
+const log = logger.forSubsystem('hadrons');
+
+// How long, in milliseconds, a spell that hit something is kept out of the game.
+// That is long enough for its client to have let go of it,
+// and after that an old spell is no more use to a cheater than a new one.
+const usedSpellMemory = 60 * 1000;
+
+// Clients send batches of hadron updates, deletions and damage reports.
+
+function updateHadron({ context, hadron, player }) {
+  const PlayerId = player.id;
+  const { hadrons, connectedPlayerData, deletedHadronIds } = context;
+  if (deletedHadronIds.has(hadron.id)) {
+    // An admin deleted this, but the client hasn't caught up yet.
+    context.socketEmitToId({
+      emitToId: connectedPlayerData.get(PlayerId).socketId,
+      socketEvent: 'deleteHadron',
+      data: hadron.id,
+    });
+    return;
+  }
+  if (!sceneManifest.has(hadron.scn)) {
+    log.warn(`Hadron ${hadron.id} sent in unknown scene ${hadron.scn}`);
+    return;
+  }
+  // Look for an existing hadron already in our data that matches the incoming hadron ID,
+  // and has the owner's id on it.
+  const existingHadron = hadrons.get(hadron.id);
+
+  // Messages are only dropped by players allowed to, but anyone can move one that already exists.
+  if (
+    !existingHadron &&
+    hadron.typ === 'message' &&
+    !permissions.hasPermission(connectedPlayerData.get(PlayerId), 'dropMessage')
+  ) {
+    context.socketEmitToId({
+      emitToId: connectedPlayerData.get(PlayerId).socketId,
+      socketEvent: 'deleteHadron',
+      data: hadron.id,
+    });
+    return;
+  }
+
+  // If a hadron moves from one scene to another, both scenes must be flagged as updated
+  let previousScene;
+  if (existingHadron && existingHadron.scn !== hadron.scn) {
+    previousScene = existingHadron.scn;
+  }
+
+  // You cannot update hadrons that you are not in control of,
+  if (!existingHadron || existingHadron.ctr === PlayerId) {
+    const newHadronData = { ...hadron };
+
+    // If you send in a hadron with no ctr, you are it
+    if (!newHadronData.ctr) {
+      newHadronData.ctr = PlayerId;
+    }
+
+    if (!existingHadron && !hadron.own) {
+      // If you introduce a new hadron, then you control it.
+      // Ownership never changes on existing hadrons.
+      // A client CAN set an owner on the hadron other than themselves, such as for NPCs and their spells
+      newHadronData.own = PlayerId;
+    }
+
+    // The server owns player and NPC health, so clients cannot heal themselves.
+    hadronHealth.reconcileHealth({
+      existingHadron,
+      newHadronData,
+      hasInfiniteHealth: permissions.hasPermission(
+        connectedPlayerData.get(PlayerId),
+        'debug',
+      ),
+    });
+
+    if (rejectInvalidHadron({ context, player, hadron: newHadronData })) {
+      return;
+    }
+
+    if (hadron.typ === 'player' && hadron.id === PlayerId) {
+      const moveIsAllowed = checkPlayerMove({
+        context,
+        player: connectedPlayerData.get(PlayerId),
+        newHadronData,
+      });
+      if (!moveIsAllowed) {
+        return;
+      }
+    }
+
+    hadrons.set(hadron.id, newHadronData);
+
+    if (previousScene) {
+      context.flagSceneHasUpdated(previousScene);
+    }
+    context.flagSceneHasUpdated(newHadronData.scn);
+    context.throttledSendHadrons();
+    context.throttledSaveGameStateToDisk();
+  }
+}
+
+// Put players back where they were if they move in a way that no honest client could.
+// Returns false if the update should be ignored entirely.
+function checkPlayerMove({ context, player, newHadronData }) {
+  const result = movementCheck.checkMove({
+    connectedPlayer: player,
+    hadron: newHadronData,
+    maxPlayerSpeed: context.config.maxPlayerSpeed,
+    canTeleport: permissions.hasPermission(player, 'teleport'),
+    defaultOpeningScene: context.config.defaultOpeningScene,
+  });
+  if (result.allowed) {
+    return true;
+  }
+  log.info(`Movement check failed for ${player.name}: ${result.reason}`, {
+    scn: newHadronData.scn,
+    x: newHadronData.x,
+    y: newHadronData.y,
+  });
+  if (result.repeatOffender) {
+    const message = `${player.name} keeps failing movement checks. Last time: ${result.reason} in ${newHadronData.scn}`;
+    log.warn(message);
+    context.connectedPlayerData.forEach((connectedPlayer) => {
+      if (permissions.hasPermission(connectedPlayer, 'moderate')) {
+        context.socketEmitToId({
+          emitToId: connectedPlayer.socketId,
+          socketEvent: 'txt',
+          data: { typ: 'chat', content: message },
+        });
+      }
+    });
+  }
+  if (!result.correction) {
+    return false;
+  }
+  // If they changed scenes, this sends them back to the old one.
+  context.socketEmitToId({
+    emitToId: player.socketId,
+    socketEvent: 'correctPosition',
+    data: result.correction,
+  });
+  if (result.correction.scn !== newHadronData.scn) {
+    return false;
+  }
+  newHadronData.x = result.correction.x;
+  newHadronData.y = result.correction.y;
+  return true;
+}
+
+function destroyHadron({ context, key, PlayerId }) {
+  const { hadrons, connectedPlayerData } = context;
+  if (hadrons.has(key)) {
+    // If the hadron was transferred,
+    // the controller won't delete the hadron from their own list,
+    // so we have to force it to delete the hadron.
+    if (
+      hadrons.get(key).ctr !== PlayerId &&
+      connectedPlayerData.has(hadrons.get(key).ctr)
+    ) {
+      context.socketEmitToId({
+        emitToId: connectedPlayerData.get(hadrons.get(key).ctr).socketId,
+        socketEvent: 'deleteHadron',
+        data: key,
+      });
+    }
+    // Give other clients a moment to animate the last moments of the sprite
+    // so that it doesn't appear to disappear before hitting the location where it should disappear on their screen
+    // Otherwise things seem to de-spawn before hitting walls, for instance.
+    // await wait(10);
+    context.flagSceneHasUpdated(hadrons.get(key)?.scn);
+    hadrons.delete(key);
+    context.throttledSendHadrons();
+    context.throttledSaveGameStateToDisk();
+  }
+}
+
+function damageHadron({ context, data, PlayerId }) {
+  const { hadrons, connectedPlayerData, deletedHadronIds } = context;
+  const source = hadrons.get(data.src);
+  const target = hadrons.get(data.id);
+  const amount = hadronHealth.damageAmount({
+    source,
+    target,
+    PlayerId,
+    hadrons,
+  });
+  if (amount <= 0) {
+    return;
+  }
+  if (source.typ !== 'spell') {
+    // Contact damage can only come from an NPC hitting a player,
+    // and only the player's client can be holding it back.
+    if (
+      !connectedPlayerData.has(target.id) ||
+      !hadronHealth.canTakeContactDamage({
+        connectedPlayer: connectedPlayerData.get(target.id),
+        interval: context.config.contactDamageInterval,
+      })
+    ) {
+      return;
+    }
+  }
+
+  let newHealth = target.hlt;
+  if (newHealth === undefined) {
+    newHealth = target.mxh ? target.mxh : hadronHealth.defaultMaxHealth;
+  }
+  newHealth -= amount;
+  if (newHealth < 0) {
+    newHealth = 0;
+  }
+  hadrons.set(data.id, { ...target, hlt: newHealth });
+
+  // The controlling client's copy of a hadron is authoritative for everything else,
+  // so it must be told the new health directly.
+  if (connectedPlayerData.has(target.ctr)) {
+    context.socketEmitToId({
+      emitToId: connectedPlayerData.get(target.ctr).socketId,
+      socketEvent: 'updateHealth',
+      data: { id: data.id, hlt: newHealth },
+    });
+  }
+
+  if (source.typ === 'spell') {
+    // A spell is used up when it hits something,
+    // so it is remembered as deleted for a while, to stop it being sent back to hit again.
+    deletedHadronIds.add(data.src);
+    setTimeout(() => {
+      deletedHadronIds.delete(data.src);
+    }, usedSpellMemory).unref();
+    if (connectedPlayerData.has(source.ctr)) {
+      context.socketEmitToId({
+        emitToId: connectedPlayerData.get(source.ctr).socketId,
+        socketEvent: 'deleteHadron',
+        data: data.src,
+      });
+    }
+    hadrons.delete(data.src);
+  }
+  context.flagSceneHasUpdated(target.scn);
+  context.throttledSendHadrons();
+  context.throttledSaveGameStateToDisk();
+}
+
+export default {
+  event: 'hadronData',
+  validate: (input) => Array.isArray(input),
+  handle: ({ context, player, data }) => {
+    context.metrics.add('witchazzan_hadron_data_packets_received_total', {
+      socket: player.socket.id,
+      player: player.name,
+    });
+    for (const entry of data) {
+      switch (entry.tsk) {
+        case 'upd':
+          updateHadron({ context, hadron: entry, player });
+          break;
+        case 'del':
+          destroyHadron({ context, key: entry.key, PlayerId: player.id });
+          break;
+        case 'dmg':
+          damageHadron({ context, data: entry.data, PlayerId: player.id });
+          break;
+        default:
+          log.warn(`Unknown hadron data packet from ${player.name}.`, {
+            tsk: entry.tsk,
+          });
+      }
+    }
+  },
+};
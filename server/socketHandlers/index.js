@@ -0,0 +1,22 @@
+import txt from './txt.js';
+import hadronData from './hadronData.js';
+import enterScene from './enterScene.js';
+import createHadron from './createHadron.js';
+import command from './command.js';
+import grab from './grab.js';
+import resync from './resync.js';
+import ping from './ping.js';
+import disconnect from './disconnect.js';
+
+// Add new socket handler modules to this list to have them registered.
+export default [
+  txt,
+  hadronData,
+  enterScene,
+  createHadron,
+  command,
+  grab,
+  resync,
+  ping,
+  disconnect,
+];
@@ -0,0 +1,9 @@
+// Acknowledge pings for latency checking
+export default {
+  event: 'ping',
+  requiresValidPlayer: false,
+  validate: (callback) => typeof callback === 'function',
+  handle: ({ data: callback }) => {
+    callback();
+  },
+};
@@ -0,0 +1,112 @@
+/*
+Every socket event that a client can send after signing in is handled by its own module in this folder.
+
+Each handler module exports an object like this:
+{
+  event: 'enterScene', // The socket event name.
+  validate: (data) => typeof data === 'string', // Optional. Return false to reject the incoming data.
+  requiresValidPlayer: false, // Optional. Defaults to true. Set to false to skip the connected player check.
+  handle: async ({ context, player, data, callback }) => {}, // Does the actual work.
+}
+
+The context is shared by every handler and every player.
+It holds the game state (hadrons, inactiveHadrons, deletedHadronIds, connectedPlayerData),
+the database (db), the server configuration (config), and the functions that act on them,
+so that handlers never reach back into server.js and can be tested by passing in a fake context.
+
+The player is unique to each connection:
+{
+  id, // The player's UUID
+  name, // The player's name
+  socket, // The player's socket
+  importantItemList, // The last list of important items sent to the player
+}
+ */
+
+import logger from '../utilities/logger.js';
+
+const log = logger.forSubsystem('sockets');
+
+function validatePlayer({ context, player }) {
+  // If the network goes down and back up, clients
+  // sometimes think they are connected and start sending data
+  // when the server has lost track of them.
+  // Forcing them to disconnect will fix the issue and prevent crashes.
+  // This also checks for multiple connections from the same client.
+  if (
+    !player.id ||
+    !context.connectedPlayerData.get(player.id) ||
+    context.connectedPlayerData.get(player.id)?.socketId !== player.socket.id
+  ) {
+    log.info(`${player.name} validation failed`);
+    player.socket.disconnect();
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Create a registry to hold the socket event handlers.
+ * @param {Object} context - Shared game state and functions passed to every handler.
+ * @returns {{register: Function, dispatch: Function, attach: Function, handlers: Map}}
+ */
+function createSocketHandlerRegistry(context) {
+  const handlers = new Map();
+
+  function register(handlerDefinition) {
+    if (!handlerDefinition.event || !handlerDefinition.handle) {
+      throw new Error(
+        'Socket handlers must have an event and a handle function.',
+      );
+    }
+    if (handlers.has(handlerDefinition.event)) {
+      throw new Error(
+        `A socket handler for ${handlerDefinition.event} is already registered.`,
+      );
+    }
+    handlers.set(handlerDefinition.event, handlerDefinition);
+  }
+
+  // Run one event through validation and then the handler.
+  // This is separate from attach() so that it can be called without a real socket.
+  async function dispatch({ event, player, data, callback }) {
+    const handlerDefinition = handlers.get(event);
+    if (!handlerDefinition) {
+      log.error(`No socket handler registered for ${event}.`);
+      return;
+    }
+    if (
+      handlerDefinition.requiresValidPlayer !== false &&
+      !validatePlayer({ context, player })
+    ) {
+      return;
+    }
+    if (handlerDefinition.validate && !handlerDefinition.validate(data)) {
+      log.warn(`Invalid ${event} data from ${player.name}`);
+      log.debug(`Invalid ${event} data`, { data });
+      return;
+    }
+    // Very noisy, but useful for debugging. Set the sockets log level to debug to see it.
+    log.debug(`${player.name} sent ${event}`);
+    try {
+      await handlerDefinition.handle({ context, player, data, callback });
+    } catch (e) {
+      log.error(`Error handling ${event} from ${player.name}`, {
+        error: e.message,
+      });
+    }
+  }
+
+  // Listen for every registered event on a player's socket.
+  function attach(player) {
+    handlers.forEach((handlerDefinition, event) => {
+      player.socket.on(event, (data, callback) =>
+        dispatch({ event, player, data, callback }),
+      );
+    });
+  }
+
+  return { register, dispatch, attach, handlers };
+}
+
+export default createSocketHandlerRegistry;
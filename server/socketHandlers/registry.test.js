@@ -0,0 +1,236 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import createSocketHandlerRegistry from './registry.js';
+import socketHandlers from './index.js';
+
+// Run the registry against a fake context and fake sockets, without a server.
+// Run with: npm test
+// Rejected events are still logged to the console, which is expected.
+
+function createFakeContext() {
+  const calls = [];
+  const record =
+    (name) =>
+    (...args) => {
+      calls.push({ name, args });
+    };
+  return {
+    calls,
+    hadrons: new Map(),
+    inactiveHadrons: new Map(),
+    deletedHadronIds: new Set(),
+    connectedPlayerData: new Map(),
+    db: { query: async () => ({ rows: [] }) },
+    config: { maxPlayerSpeed: 175, defaultOpeningScene: 'CamelopardalisH8' },
+    flagSceneHasUpdated: record('flagSceneHasUpdated'),
+    throttledSendHadrons: record('throttledSendHadrons'),
+    throttledSaveGameStateToDisk: record('throttledSaveGameStateToDisk'),
+    sendHadronSnapshot: record('sendHadronSnapshot'),
+    socketEmitToId: record('socketEmitToId'),
+    socketEmitToAll: record('socketEmitToAll'),
+    socketEmitToRoom: record('socketEmitToRoom'),
+    updatePlayerImportantItemList: () => [],
+  };
+}
+
+function createFakePlayer({ id, socketId }) {
+  const socket = {
+    id: socketId,
+    rooms: new Set(),
+    disconnected: false,
+    listeners: new Map(),
+    join(room) {
+      this.rooms.add(room);
+    },
+    leave(room) {
+      this.rooms.delete(room);
+    },
+    disconnect() {
+      this.disconnected = true;
+    },
+    on(event, listener) {
+      this.listeners.set(event, listener);
+    },
+    emit() {},
+  };
+  return { id, name: `Player ${id}`, socket, importantItemList: [] };
+}
+
+describe('socket handler registry', () => {
+  let context;
+  let registry;
+  let player;
+
+  beforeEach(() => {
+    context = createFakeContext();
+    registry = createSocketHandlerRegistry(context);
+    socketHandlers.forEach((handlerDefinition) => {
+      registry.register(handlerDefinition);
+    });
+    player = createFakePlayer({ id: 'player1', socketId: 'socket1' });
+    player.socket.join('CamelopardalisH7');
+    context.connectedPlayerData.set(player.id, {
+      id: player.id,
+      name: player.name,
+      scene: 'CamelopardalisH7',
+      socketId: player.socket.id,
+      permissions: [],
+    });
+  });
+
+  it('refuses to register an event twice', () => {
+    assert.throws(
+      () => registry.register({ event: 'ping', handle: () => {} }),
+      /already registered/,
+    );
+  });
+
+  it('refuses to register a handler without a handle function', () => {
+    assert.throws(
+      () => registry.register({ event: 'nothing' }),
+      /must have an event and a handle function/,
+    );
+  });
+
+  it('ignores unknown events', async () => {
+    await registry.dispatch({
+      event: 'noSuchEvent',
+      player,
+      data: 'CamelopardalisH8',
+    });
+    assert.deepEqual(context.calls, []);
+    assert.equal(player.socket.disconnected, false);
+  });
+
+  it('drops invalid payloads without running the handler', async () => {
+    await registry.dispatch({
+      event: 'enterScene',
+      player,
+      data: 'NoSuchScene',
+    });
+    assert.equal(
+      context.connectedPlayerData.get(player.id).scene,
+      'CamelopardalisH7',
+    );
+    assert.deepEqual([...player.socket.rooms], ['CamelopardalisH7']);
+    assert.deepEqual(context.calls, []);
+  });
+
+  it('disconnects players that are not connected on that socket', async () => {
+    const stalePlayer = createFakePlayer({ id: 'player1', socketId: 'old' });
+    await registry.dispatch({
+      event: 'enterScene',
+      player: stalePlayer,
+      data: 'CamelopardalisH8',
+    });
+    assert.equal(stalePlayer.socket.disconnected, true);
+    assert.equal(
+      context.connectedPlayerData.get(player.id).scene,
+      'CamelopardalisH7',
+    );
+  });
+
+  it('runs handlers that do not need a connected player', async () => {
+    const unknownPlayer = createFakePlayer({ id: 'nobody', socketId: 'x' });
+    let acknowledged = false;
+    await registry.dispatch({
+      event: 'ping',
+      player: unknownPlayer,
+      data: () => {
+        acknowledged = true;
+      },
+    });
+    assert.equal(acknowledged, true);
+    assert.equal(unknownPlayer.socket.disconnected, false);
+  });
+
+  it('moves the player and what they hold to a new scene', async () => {
+    context.hadrons.set('item1', {
+      id: 'item1',
+      scn: 'CamelopardalisH7',
+      hld: player.id,
+    });
+    await registry.dispatch({
+      event: 'enterScene',
+      player,
+      data: 'CamelopardalisH8',
+    });
+    assert.equal(
+      context.connectedPlayerData.get(player.id).scene,
+      'CamelopardalisH8',
+    );
+    assert.deepEqual([...player.socket.rooms], ['CamelopardalisH8']);
+    assert.equal(context.hadrons.get('item1').scn, 'CamelopardalisH8');
+    assert.deepEqual(
+      context.calls.find((call) => call.name === 'sendHadronSnapshot').args,
+      [
+        {
+          socketId: player.socket.id,
+          playerId: player.id,
+          scene: 'CamelopardalisH8',
+        },
+      ],
+    );
+  });
+
+  it('refuses to enter a scene without using an exit', async () => {
+    context.connectedPlayerData.get(player.id).movement = {
+      scn: 'CamelopardalisH7',
+      x: 100,
+      y: 100,
+    };
+    await registry.dispatch({
+      event: 'enterScene',
+      player,
+      data: 'BlackWaterCave',
+    });
+    assert.equal(
+      context.connectedPlayerData.get(player.id).scene,
+      'CamelopardalisH7',
+    );
+    assert.deepEqual([...player.socket.rooms], ['CamelopardalisH7']);
+    assert.deepEqual(context.calls, [
+      {
+        name: 'socketEmitToId',
+        args: [
+          {
+            emitToId: player.socket.id,
+            socketEvent: 'correctPosition',
+            data: { scn: 'CamelopardalisH7', x: 100, y: 100 },
+          },
+        ],
+      },
+    ]);
+  });
+
+  it('drops text of unknown types instead of sending it to everyone', async () => {
+    context.connectedPlayerData.get(player.id).permissions = ['chat'];
+    await registry.dispatch({
+      event: 'txt',
+      player,
+      data: { typ: 'announcement', text: 'Hello everyone' },
+    });
+    assert.deepEqual(context.calls, []);
+  });
+
+  it('catches errors thrown by handlers', async () => {
+    const failingRegistry = createSocketHandlerRegistry(context);
+    failingRegistry.register({
+      event: 'fail',
+      handle: () => {
+        throw new Error('Broken handler');
+      },
+    });
+    await assert.doesNotReject(
+      failingRegistry.dispatch({ event: 'fail', player, data: {} }),
+    );
+  });
+
+  it('listens for every registered event on the socket', () => {
+    registry.attach(player);
+    assert.deepEqual(
+      [...player.socket.listeners.keys()].sort(),
+      [...registry.handlers.keys()].sort(),
+    );
+  });
+});
@@ -0,0 +1,14 @@
+// The client missed a delta, so start their hadron stream over.
+export default {
+  event: 'resync',
+  handle: ({ context, player }) => {
+    const scene = context.connectedPlayerData.get(player.id).scene;
+    context.sendHadronSnapshot({
+      socketId: player.socket.id,
+      playerId: player.id,
+      scene,
+    });
+    context.flagSceneHasUpdated(scene);
+    context.throttledSendHadrons();
+  },
+};
@@ -0,0 +1,109 @@
+import moderation from '../utilities/moderation.js';
+import permissions from '../utilities/permissions.js';
+import logger from '../utilities/logger.js';
+import chatChannels from '../utilities/chatChannels.js';
+
+const log = logger.forSubsystem('chat');
+
+// The kinds of text that clients know how to show. Anything else is dropped.
+const textTypes = ['chat', 'fad'];
+
+// Chat and "fading" text messages from one player to a chat channel, or to one other player.
+// See utilities/chatChannels.js
+export default {
+  event: 'txt',
+  validate: (data) => typeof data === 'object' && data !== null,
+  handle: async ({ context, player, data }) => {
+    const { db, connectedPlayerData, socketEmitToId } = context;
+    const typ = data.typ ? data.typ : 'chat';
+    if (!textTypes.includes(typ)) {
+      log.info(`Dropped text of unknown type from ${player.name}`, { typ });
+      return;
+    }
+    // Anyone can "fade" text onto another player's screen,
+    // which is how messages they walk into are shown to them, but only to one player.
+    if (typ === 'fad' && !data.targetPlayerId) {
+      return;
+    }
+    if (
+      !(
+        permissions.hasPermission(connectedPlayerData.get(player.id), 'chat') ||
+        typ === 'fad'
+      )
+    ) {
+      return;
+    }
+    if (moderation.isMuted(connectedPlayerData.get(player.id))) {
+      // Faded text is sent on every collision, so muted players are not told each time.
+      if (typ !== 'fad') {
+        player.socket.emit('txt', {
+          typ: 'chat',
+          content: `You are muted ${moderation.describe(
+            connectedPlayerData.get(player.id).mute,
+          )}`,
+        });
+      }
+      return;
+    }
+    let name = player.name;
+    if (data.fromPlayerId) {
+      try {
+        // User could be offline, so get from database
+        const sql = 'SELECT name FROM Users WHERE id = ?';
+        const result = await db.query(sql, [data.fromPlayerId]);
+        if (result.rows.length > 0) {
+          name = result.rows[0].name;
+        }
+      } catch (e) {
+        log.error('Error retrieving user on socket txt', {
+          fromPlayerId: data.fromPlayerId,
+          error: e.message,
+        });
+      }
+    }
+    const dataToSend = {
+      name,
+      typ,
+      content: data.text,
+    };
+    log.debug(`${name}: ${data.text}`, {
+      typ: dataToSend.typ,
+      targetPlayerId: data.targetPlayerId,
+    });
+    if (data.targetPlayerId) {
+      if (connectedPlayerData.has(data.targetPlayerId)) {
+        socketEmitToId({
+          emitToId: connectedPlayerData.get(data.targetPlayerId).socketId,
+          socketEvent: 'txt',
+          data: dataToSend,
+        });
+      }
+    } else {
+      // Only chat can get here without a target, because faded text always has one.
+      const connectedPlayer = connectedPlayerData.get(player.id);
+      const channel = chatChannels.channelFor(connectedPlayer, data.room);
+      if (!channel) {
+        player.socket.emit('txt', {
+          typ: 'chat',
+          content: `You are not in the ${data.room} channel. Use /join ${data.room} first.`,
+        });
+        return;
+      }
+      chatChannels.send({
+        context,
+        connectedPlayer,
+        channel,
+        data: dataToSend,
+      });
+      try {
+        await context.chatHistory.add({
+          channel: chatChannels.historyChannel(channel, connectedPlayer.scene),
+          name,
+          content: dataToSend.content,
+        });
+      } catch (e) {
+        log.error('Error saving chat history', { error: e.message });
+      }
+    }
+  },
+};
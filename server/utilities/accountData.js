@@ -0,0 +1,113 @@
+import removeOwnedHadrons from './removeOwnedHadrons.js';
+
+/*
+Players can download everything the game keeps about them with /api/export-account,
+and can ask for most of it to be erased when they delete their account.
+
+Deleting an account normally only renames it to [DELETED], which keeps the ID
+that hadrons, mail and logs refer to. Purging also removes their connection history,
+and sessions, which include their IP addresses, and the messages they dropped in the world.
+ */
+
+/**
+ * Collect everything kept about a player.
+ * @param {Object} db
+ * @param {string} userId
+ * @param {Map} hadrons
+ * @param {Map} inactiveHadrons
+ * @returns {Promise<Object>}
+ */
+async function exportAccount({ db, userId, hadrons, inactiveHadrons }) {
+  const user = await db.query(
+    'SELECT id, name, guest, created, last_connection, finishedGame FROM Users WHERE id = ?',
+    [userId],
+  );
+  const connections = await db.query(
+    'SELECT timestamp, ip FROM Connections WHERE id = ? ORDER BY timestamp',
+    [userId],
+  );
+  const sessions = await db.query(
+    'SELECT created, expires, lastSeen, lastIp, revoked FROM Sessions WHERE userId = ? ORDER BY created',
+    [userId],
+  );
+  const roles = await db.query(
+    'SELECT role FROM UserRoles WHERE userId = ? ORDER BY role',
+    [userId],
+  );
+  const friends = await db.query(
+    `SELECT Users.name, Friends.timestamp FROM Friends JOIN Users ON Friends.friendId = Users.id
+     WHERE Friends.userId = ? ORDER BY Users.name`,
+    [userId],
+  );
+  const mailReceived = await db.query(
+    'SELECT fromName, content, timestamp, read FROM Mail WHERE toUserId = ? ORDER BY id',
+    [userId],
+  );
+  const mailSent = await db.query(
+    `SELECT Users.name AS toName, Mail.content, Mail.timestamp FROM Mail LEFT JOIN Users ON Mail.toUserId = Users.id
+     WHERE Mail.fromUserId = ? ORDER BY Mail.id`,
+    [userId],
+  );
+  const ownedHadrons = [];
+  [hadrons, inactiveHadrons].forEach((hadronMap) => {
+    hadronMap.forEach((hadron, key) => {
+      if (hadron.own === userId) {
+        ownedHadrons.push({ ...hadron, id: key });
+      }
+    });
+  });
+  return {
+    exported: Math.floor(new Date().getTime() / 1000),
+    user: user.rows[0],
+    roles: roles.rows.map((row) => row.role),
+    connections: connections.rows,
+    sessions: sessions.rows,
+    hadrons: ownedHadrons,
+    messages: ownedHadrons.filter((hadron) => hadron.typ === 'message'),
+    mail: { received: mailReceived.rows, sent: mailSent.rows },
+    friends: friends.rows,
+  };
+}
+
+/**
+ * Erase a deleted player's connection history, sessions and the messages they dropped.
+ * @param {Object} db
+ * @param {string} userId
+ * @param {Map} hadrons
+ * @param {Map} inactiveHadrons
+ * @param {Set} deletedHadronIds
+ * @param {Map} connectedPlayerData
+ * @param {Function} socketEmitToId
+ * @param {Function} flagSceneHasUpdated
+ * @returns {Promise<{connections: number, messages: number}>} - How many of each were removed.
+ */
+async function purgeAccount({
+  db,
+  userId,
+  hadrons,
+  inactiveHadrons,
+  deletedHadronIds,
+  connectedPlayerData,
+  socketEmitToId,
+  flagSceneHasUpdated,
+}) {
+  const connections = await db.query(
+    'SELECT COUNT(*) AS count FROM Connections WHERE id = ?',
+    [userId],
+  );
+  await db.query('DELETE FROM Connections WHERE id = ?', [userId]);
+  await db.query('DELETE FROM Sessions WHERE userId = ?', [userId]);
+  const messages = removeOwnedHadrons({
+    ownerIds: new Set([userId]),
+    filter: (hadron) => hadron.typ === 'message',
+    hadrons,
+    inactiveHadrons,
+    deletedHadronIds,
+    connectedPlayerData,
+    socketEmitToId,
+    flagSceneHasUpdated,
+  });
+  return { connections: connections.rows[0].count, messages };
+}
+
+export default { exportAccount, purgeAccount };
@@ -0,0 +1,160 @@
+/*
+Chat is sent to a channel:
+  scene - Everyone in the same scene, using the socket.io room that enterScene puts them in. This is the default.
+  global - Everyone online.
+  Any other name - Everyone who has joined that channel with /join.
+
+Everyone always hears their scene and global chat.
+A player can also be in one named channel at a time, and chooses which channel they talk in.
+Both are kept in their connectedPlayerData entry, so they are forgotten when they disconnect.
+
+Named channels are socket.io rooms too, with a prefix so that they can never clash with a scene name.
+ */
+
+const sceneChannel = 'scene';
+const globalChannel = 'global';
+const roomPrefix = 'channel:';
+const channelNamePattern = /^[a-zA-Z0-9_-]{1,20}$/;
+
+function roomForChannel(channelName) {
+  return `${roomPrefix}${channelName}`;
+}
+
+/**
+ * Work out which channel a chat message goes to.
+ * @param {Object} connectedPlayer - The sender's entry from connectedPlayerData.
+ * @param {string} [requestedChannel] - A channel the client asked for, instead of the player's current one.
+ * @returns {string|undefined} - The channel, or undefined if the player can't talk in it.
+ */
+function channelFor(connectedPlayer, requestedChannel) {
+  const channel = (
+    (typeof requestedChannel === 'string' && requestedChannel) ||
+    connectedPlayer.chatChannel ||
+    sceneChannel
+  ).toLowerCase();
+  if (
+    channel === sceneChannel ||
+    channel === globalChannel ||
+    channel === connectedPlayer.joinedChannel
+  ) {
+    return channel;
+  }
+  return undefined;
+}
+
+/**
+ * Send a chat message to everyone who can hear the channel.
+ * @param {Object} context - The socket handler context.
+ * @param {Object} connectedPlayer - The sender's entry from connectedPlayerData.
+ * @param {string} channel - From channelFor()
+ * @param {Object} data - The txt event data. The channel is added to it so that clients can label it.
+ */
+function send({ context, connectedPlayer, channel, data }) {
+  const dataToSend = { ...data, channel };
+  if (channel === globalChannel) {
+    context.socketEmitToAll({ socketEvent: 'txt', data: dataToSend });
+  } else {
+    context.socketEmitToRoom({
+      room:
+        channel === sceneChannel
+          ? connectedPlayer.scene
+          : roomForChannel(channel),
+      socketEvent: 'txt',
+      data: dataToSend,
+    });
+  }
+}
+
+/**
+ * Talk in the scene or global channel, or join a named one and talk in that.
+ * Joining a named channel leaves the one the player was in before.
+ * @param {Object} player - The socket handler player, for its socket.
+ * @param {Object} connectedPlayer - The player's entry from connectedPlayerData.
+ * @param {string} channelName
+ * @returns {string} - What happened, to tell the player.
+ */
+function switchTo({ player, connectedPlayer, channelName }) {
+  if (!channelNamePattern.test(channelName)) {
+    return 'Channel names can only have letters, numbers, - and _, and be up to 20 characters long.';
+  }
+  // Channel names are not case-sensitive.
+  const channel = channelName.toLowerCase();
+  if (channel === sceneChannel || channel === globalChannel) {
+    connectedPlayer.chatChannel = channel;
+    return `You are now talking in ${channel} chat.`;
+  }
+  if (
+    connectedPlayer.joinedChannel &&
+    connectedPlayer.joinedChannel !== channel
+  ) {
+    player.socket.leave(roomForChannel(connectedPlayer.joinedChannel));
+  }
+  player.socket.join(roomForChannel(channel));
+  connectedPlayer.joinedChannel = channel;
+  connectedPlayer.chatChannel = channel;
+  return `You joined the ${channel} channel, and are now talking in it. Use /s or /g to talk in scene or global chat, and you will still hear ${channel}.`;
+}
+
+// Scene chat is kept separately for each scene.
+// Named channels can't have a colon in them, so these never clash.
+const sceneHistoryPrefix = 'scene:';
+
+/**
+ * Get the channel that chat history is stored under.
+ * @param {string} channel - From channelFor()
+ * @param {string} scene - The scene the player is in.
+ * @returns {string}
+ */
+function historyChannel(channel, scene) {
+  return channel === sceneChannel ? `${sceneHistoryPrefix}${scene}` : channel;
+}
+
+/**
+ * Get the channel to label a line of chat history with, as if it had just been sent.
+ * @param {string} storedChannel - From historyChannel()
+ * @returns {string}
+ */
+function channelFromHistory(storedChannel) {
+  return storedChannel.startsWith(sceneHistoryPrefix)
+    ? sceneChannel
+    : storedChannel;
+}
+
+/**
+ * @param {Object} connectedPlayer - The player's entry from connectedPlayerData.
+ * @returns {Array<string>} - The history channels for every channel the player hears.
+ */
+function historyChannelsFor(connectedPlayer) {
+  const channels = [
+    globalChannel,
+    historyChannel(sceneChannel, connectedPlayer.scene),
+  ];
+  if (connectedPlayer.joinedChannel) {
+    channels.push(connectedPlayer.joinedChannel);
+  }
+  return channels;
+}
+
+/**
+ * @param {Object} connectedPlayer - The player's entry from connectedPlayerData.
+ * @returns {string} - Which channels the player is talking in and hearing.
+ */
+function describe(connectedPlayer) {
+  const talkingIn = connectedPlayer.chatChannel || sceneChannel;
+  const joined = connectedPlayer.joinedChannel
+    ? ` You have joined the ${connectedPlayer.joinedChannel} channel.`
+    : '';
+  return `You are talking in ${talkingIn} chat.${joined}`;
+}
+
+export default {
+  sceneChannel,
+  globalChannel,
+  channelFor,
+  send,
+  switchTo,
+  describe,
+  historyChannel,
+  channelFromHistory,
+  historyChannelsFor,
+};
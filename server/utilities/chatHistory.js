@@ -0,0 +1,55 @@
+/*
+Chat history is the last few lines sent to each chat channel, kept in the ChatHistory table,
+so that players who join late, or whose game reloads, can catch up on the conversation.
+
+Rows are stored under a history channel from chatChannels.historyChannel(),
+so that each scene has its own history.
+Only the newest lines in each history channel are kept.
+ */
+
+/**
+ * Create a store for chat history.
+ * @param {Object} db - The database, with query().
+ * @param {number} keep - How many lines to keep in each history channel.
+ * @returns {{add: Function, before: Function}}
+ */
+function createChatHistory({ db, keep }) {
+  /**
+   * Remember a chat line, and forget the oldest line in its channel if there are too many.
+   * @param {string} channel - From chatChannels.historyChannel()
+   * @param {string} name - Who said it.
+   * @param {string} content - What they said.
+   */
+  async function add({ channel, name, content }) {
+    await db.query(
+      'INSERT INTO ChatHistory (channel, name, content, timestamp) VALUES (?, ?, ?, ?)',
+      [channel, name, content, Math.floor(new Date().getTime() / 1000)],
+    );
+    await db.query(
+      `DELETE FROM ChatHistory WHERE channel = ? AND id NOT IN
+        (SELECT id FROM ChatHistory WHERE channel = ? ORDER BY id DESC LIMIT ?)`,
+      [channel, channel, keep],
+    );
+  }
+
+  /**
+   * Get chat lines from any of the given channels, newest first.
+   * @param {Array<string>} channels - From chatChannels.historyChannelsFor()
+   * @param {number} [beforeId] - Only lines older than this one, to page back through history.
+   * @param {number} limit - How many lines to get.
+   * @returns {Promise<Array<{id: number, channel: string, name: string, content: string, timestamp: number}>>}
+   */
+  async function before({ channels, beforeId, limit }) {
+    const result = await db.query(
+      `SELECT id, channel, name, content, timestamp FROM ChatHistory
+       WHERE channel IN (${channels.map(() => '?').join(', ')}) AND id < ?
+       ORDER BY id DESC LIMIT ?`,
+      [...channels, beforeId || Number.MAX_SAFE_INTEGER, limit],
+    );
+    return result.rows;
+  }
+
+  return { add, before };
+}
+
+export default createChatHistory;
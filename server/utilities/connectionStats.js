@@ -0,0 +1,169 @@
+/*
+Reports on who has been playing, from the Connections and Users tables, for /api/connections.
+
+A row is added to Connections every time a player's token is checked when they start playing,
+so it records when people arrived, but not when they left.
+That means peak concurrency can only be estimated,
+as the most players who connected within the same hour of a day.
+
+Signups are counted from each player's first connection, because older accounts have no creation time in Users.
+Guest or registered is whatever the player is now, so a guest who signed up later counts as registered.
+
+Days and hours are in UTC. Times are Unix timestamps in seconds, like the tables use.
+Every report takes db, and the from and to times from parseRange().
+ */
+
+const defaultPageSize = 100;
+const maxPageSize = 1000;
+const defaultDays = 30;
+
+/**
+ * Read the from and to times out of a query string.
+ * Either can be a date that Date.parse() understands, or a Unix timestamp in seconds.
+ * @param {Object} query - The request's query string values.
+ * @returns {{from: number, to: number}|{error: string}} - to defaults to now, and from to defaultDays before to.
+ */
+function parseRange(query) {
+  const range = {};
+  for (const key of ['from', 'to']) {
+    const value = query[key];
+    if (value !== undefined && value !== '') {
+      const time = /^\d+$/.test(value)
+        ? Number(value)
+        : Math.floor(Date.parse(value) / 1000);
+      if (Number.isNaN(time)) {
+        return { error: `${key} must be a date or a Unix timestamp.` };
+      }
+      range[key] = time;
+    }
+  }
+  if (range.to === undefined) {
+    range.to = Math.floor(new Date().getTime() / 1000);
+  }
+  if (range.from === undefined) {
+    range.from = range.to - defaultDays * 24 * 60 * 60;
+  }
+  if (range.from > range.to) {
+    return { error: 'from must be before to.' };
+  }
+  return range;
+}
+
+/**
+ * Read the limit and offset for a page out of a query string.
+ * @param {Object} query - The request's query string values.
+ * @returns {{limit: number, offset: number}|{error: string}}
+ */
+function parsePage(query) {
+  const limit =
+    query.limit === undefined ? defaultPageSize : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxPageSize) {
+    return { error: `limit must be a whole number from 1 to ${maxPageSize}.` };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'offset must be a whole number, 0 or more.' };
+  }
+  return { limit, offset };
+}
+
+/**
+ * @param {Object} db
+ * @param {number} from
+ * @param {number} to
+ * @param {number} limit
+ * @param {number} offset
+ * @returns {Promise<{total: number, connections: Array<{id: string, name: string, guest: number, timestamp: number}>}>} - Newest first.
+ */
+async function list({ db, from, to, limit, offset }) {
+  const countResult = await db.query(
+    'SELECT COUNT(*) AS count FROM Connections WHERE timestamp >= ? AND timestamp <= ?',
+    [from, to],
+  );
+  const result = await db.query(
+    `SELECT Connections.id, Users.name, COALESCE(Users.guest, 0) AS guest, Connections.timestamp
+     FROM Connections LEFT JOIN Users ON Connections.id = Users.id
+     WHERE Connections.timestamp >= ? AND Connections.timestamp <= ?
+     ORDER BY Connections.timestamp DESC LIMIT ? OFFSET ?`,
+    [from, to, limit, offset],
+  );
+  return { total: countResult.rows[0].count, connections: result.rows };
+}
+
+/**
+ * @returns {Promise<Array<{day: string, users: number}>>} - How many different players connected each day.
+ */
+async function dailyActiveUsers({ db, from, to }) {
+  const result = await db.query(
+    `SELECT date(timestamp, 'unixepoch') AS day, COUNT(DISTINCT id) AS users
+     FROM Connections WHERE timestamp >= ? AND timestamp <= ?
+     GROUP BY day ORDER BY day`,
+    [from, to],
+  );
+  return result.rows;
+}
+
+/**
+ * @returns {Promise<Array<{day: string, peak: number}>>} - The estimated peak number of players online each day.
+ */
+async function peakConcurrency({ db, from, to }) {
+  const result = await db.query(
+    `SELECT day, MAX(users) AS peak FROM (
+       SELECT date(timestamp, 'unixepoch') AS day, strftime('%H', timestamp, 'unixepoch') AS hour,
+         COUNT(DISTINCT id) AS users
+       FROM Connections WHERE timestamp >= ? AND timestamp <= ?
+       GROUP BY day, hour
+     ) GROUP BY day ORDER BY day`,
+    [from, to],
+  );
+  return result.rows;
+}
+
+/**
+ * @returns {Promise<Array<{day: string, guests: number, registered: number}>>} - How many new players there were each day.
+ */
+async function newSignups({ db, from, to }) {
+  const result = await db.query(
+    `SELECT date(firstConnection, 'unixepoch') AS day,
+       SUM(guest) AS guests, COUNT(*) - SUM(guest) AS registered
+     FROM (
+       SELECT MIN(Connections.timestamp) AS firstConnection, COALESCE(Users.guest, 0) AS guest
+       FROM Connections LEFT JOIN Users ON Connections.id = Users.id
+       GROUP BY Connections.id
+     ) WHERE firstConnection >= ? AND firstConnection <= ?
+     GROUP BY day ORDER BY day`,
+    [from, to],
+  );
+  return result.rows;
+}
+
+/**
+ * @returns {Promise<Array<{day: string, guests: number, registered: number, guestRatio: number}>>} -
+ * How many of each day's players were guests, and what fraction of them that was.
+ */
+async function guestRatio({ db, from, to }) {
+  const result = await db.query(
+    `SELECT day, SUM(guest) AS guests, COUNT(*) - SUM(guest) AS registered
+     FROM (
+       SELECT DISTINCT date(Connections.timestamp, 'unixepoch') AS day, Connections.id,
+         COALESCE(Users.guest, 0) AS guest
+       FROM Connections LEFT JOIN Users ON Connections.id = Users.id
+       WHERE Connections.timestamp >= ? AND Connections.timestamp <= ?
+     ) GROUP BY day ORDER BY day`,
+    [from, to],
+  );
+  return result.rows.map((row) => ({
+    ...row,
+    guestRatio: row.guests / (row.guests + row.registered),
+  }));
+}
+
+export default {
+  parseRange,
+  parsePage,
+  list,
+  dailyActiveUsers,
+  peakConcurrency,
+  newSignups,
+  guestRatio,
+};
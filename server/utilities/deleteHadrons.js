@@ -0,0 +1,109 @@
+import sceneManifest from './sceneManifest.js';
+
+/**
+ * Parse the arguments of the del command into a list of filters.
+ * Accepts the old "del [key] [value]" form, or any number of key=value pairs,
+ * along with an optional --dry-run flag.
+ * @param {Array<string>} args - The command words after "del".
+ * @returns {{filters: Array<{key: string, value: string}>, dryRun: boolean, error: string}}
+ */
+function parseFilters(args) {
+  const filters = [];
+  let dryRun = false;
+  const words = args.filter((word) => {
+    if (word.toLowerCase() === '--dry-run') {
+      dryRun = true;
+      return false;
+    }
+    return word !== '';
+  });
+
+  if (words.length === 2 && words.every((word) => !word.includes('='))) {
+    filters.push({ key: words[0], value: words[1] });
+  } else {
+    for (const word of words) {
+      const separatorIndex = word.indexOf('=');
+      if (separatorIndex < 1) {
+        return { filters, dryRun, error: `Unable to parse filter: ${word}` };
+      }
+      filters.push({
+        key: word.slice(0, separatorIndex),
+        value: word.slice(separatorIndex + 1),
+      });
+    }
+  }
+
+  if (filters.length === 0) {
+    return { filters, dryRun, error: 'No filters given.' };
+  }
+  return { filters, dryRun };
+}
+
+// Values typed into chat are always strings,
+// so compare them to the string form of the hadron's value.
+function matchesFilters(hadron, filters) {
+  return filters.every(
+    (filter) =>
+      hadron.hasOwnProperty(filter.key) &&
+      String(hadron[filter.key]) === filter.value,
+  );
+}
+
+// Instanced scenes, like the Library, belong to each player, and players are never deleted this way.
+function canBeDeleted(hadron) {
+  return !sceneManifest.isInstanced(hadron.scn) && hadron.typ !== 'player';
+}
+
+/**
+ * Delete every active and inactive hadron that matches all filters,
+ * while the server is running.
+ * Deleted IDs are added to the tombstone list so that clients cannot send them back.
+ * @param {Object} context - The socket handler context.
+ * @param {Array<{key: string, value: string}>} filters
+ * @param {boolean} dryRun - Only report what would be deleted.
+ * @returns {Array<Object>} - The hadrons that matched.
+ */
+function deleteHadrons({ context, filters, dryRun }) {
+  const { hadrons, inactiveHadrons, connectedPlayerData, deletedHadronIds } =
+    context;
+  const matches = [];
+
+  hadrons.forEach((hadron, key) => {
+    if (canBeDeleted(hadron) && matchesFilters(hadron, filters)) {
+      matches.push({ ...hadron, id: key });
+    }
+  });
+  inactiveHadrons.forEach((hadron, key) => {
+    if (canBeDeleted(hadron) && matchesFilters(hadron, filters)) {
+      matches.push({ ...hadron, id: key });
+    }
+  });
+
+  if (dryRun || matches.length === 0) {
+    return matches;
+  }
+
+  matches.forEach((hadron) => {
+    deletedHadronIds.add(hadron.id);
+    if (hadrons.has(hadron.id)) {
+      // The controller's copy is authoritative,
+      // so it must be told to let go of it, or it will just send it right back.
+      if (connectedPlayerData.has(hadron.ctr)) {
+        context.socketEmitToId({
+          emitToId: connectedPlayerData.get(hadron.ctr).socketId,
+          socketEvent: 'deleteHadron',
+          data: hadron.id,
+        });
+      }
+      context.flagSceneHasUpdated(hadron.scn);
+      hadrons.delete(hadron.id);
+    }
+    inactiveHadrons.delete(hadron.id);
+  });
+
+  context.throttledSendHadrons();
+  context.throttledSaveGameStateToDisk();
+  return matches;
+}
+
+export default { parseFilters, deleteHadrons };
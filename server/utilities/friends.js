@@ -0,0 +1,107 @@
+/*
+Every player has a friends list, kept in the Friends table.
+Lists are one way: adding someone doesn't put you on their list.
+
+Players hear when anyone on their list comes online, goes offline or changes scene,
+instead of everyone hearing about everyone.
+ */
+
+const maxFriends = 100;
+
+async function isFriend({ db, userId, friendId }) {
+  const result = await db.query(
+    'SELECT 1 FROM Friends WHERE userId = ? AND friendId = ?',
+    [userId, friendId],
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * @param {Object} db
+ * @param {string} userId
+ * @param {Object} friend - The player to add, with id and name.
+ * @returns {Promise<string>} - What happened, to tell the player.
+ */
+async function add({ db, userId, friend }) {
+  if (friend.id === userId) {
+    return 'You cannot add yourself as a friend.';
+  }
+  if (await isFriend({ db, userId, friendId: friend.id })) {
+    return `${friend.name} is already on your friends list.`;
+  }
+  const countResult = await db.query(
+    'SELECT COUNT(*) AS count FROM Friends WHERE userId = ?',
+    [userId],
+  );
+  if (countResult.rows[0].count >= maxFriends) {
+    return `You can have up to ${maxFriends} friends.`;
+  }
+  await db.query(
+    'INSERT OR IGNORE INTO Friends (userId, friendId, timestamp) VALUES (?, ?, ?)',
+    [userId, friend.id, Math.floor(new Date().getTime() / 1000)],
+  );
+  return `${friend.name} is now on your friends list.`;
+}
+
+/**
+ * @param {Object} db
+ * @param {string} userId
+ * @param {Object} friend - The player to remove, with id and name.
+ * @returns {Promise<string>} - What happened, to tell the player.
+ */
+async function remove({ db, userId, friend }) {
+  if (!(await isFriend({ db, userId, friendId: friend.id }))) {
+    return `${friend.name} is not on your friends list.`;
+  }
+  await db.query('DELETE FROM Friends WHERE userId = ? AND friendId = ?', [
+    userId,
+    friend.id,
+  ]);
+  return `${friend.name} is no longer on your friends list.`;
+}
+
+/**
+ * @param {Object} db
+ * @param {string} userId
+ * @returns {Promise<Array<{id: string, name: string}>>} - Everyone on the player's list, by name.
+ */
+async function list({ db, userId }) {
+  const result = await db.query(
+    `SELECT Users.id, Users.name FROM Friends JOIN Users ON Friends.friendId = Users.id
+     WHERE Friends.userId = ? AND Users.deleted = 0 ORDER BY Users.name`,
+    [userId],
+  );
+  return result.rows;
+}
+
+/**
+ * Tell every online player who has this player on their friends list about something they did.
+ * @param {Object} db
+ * @param {Map} connectedPlayerData
+ * @param {Function} socketEmitToId
+ * @param {string} userId - The player who did something.
+ * @param {string} content - What they did.
+ */
+async function notify({
+  db,
+  connectedPlayerData,
+  socketEmitToId,
+  userId,
+  content,
+}) {
+  const result = await db.query(
+    'SELECT userId FROM Friends WHERE friendId = ?',
+    [userId],
+  );
+  result.rows.forEach((row) => {
+    if (connectedPlayerData.has(row.userId)) {
+      socketEmitToId({
+        emitToId: connectedPlayerData.get(row.userId).socketId,
+        socketEvent: 'txt',
+        data: { typ: 'chat', content },
+      });
+    }
+  });
+}
+
+export default { add, remove, list, notify };
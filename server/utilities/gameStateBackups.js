@@ -0,0 +1,112 @@
+import fs from 'fs/promises';
+import path from 'path';
+import persistentData from '../persistentData.js';
+
+/*
+Backups are timestamped JSON5 snapshots of every hadron, kept in persistentData/backups.
+They are the same format as hadrons.json5, so one can also be restored by hand
+by copying it to persistentData/hadrons.json5 while the server is stopped.
+
+Only the newest backups are kept, so the folder doesn't grow forever.
+ */
+
+const backupFilePattern = /^hadrons-[\dTZ-]+\.json5$/;
+
+/**
+ * Make a backup file name from a date, like hadrons-2024-01-31T12-00-00-000Z.json5
+ * Colons and dots are replaced so that the name is valid on every file system.
+ * @param {Date} date
+ * @returns {string}
+ */
+function backupFileName(date) {
+  return `hadrons-${date.toISOString().replace(/[:.]/g, '-')}.json5`;
+}
+
+/**
+ * List the backups in a folder, newest first.
+ * @param {string} backupFolder
+ * @returns {Promise<Array<string>>} - File names, without the folder.
+ */
+async function list(backupFolder) {
+  let fileNames;
+  try {
+    fileNames = await fs.readdir(backupFolder);
+  } catch (e) {
+    // No folder just means no backups yet.
+    return [];
+  }
+  // The timestamp format sorts the same alphabetically as it does by date.
+  return fileNames
+    .filter((fileName) => backupFilePattern.test(fileName))
+    .sort()
+    .reverse();
+}
+
+/**
+ * Delete all but the newest backups.
+ * @param {string} backupFolder
+ * @param {number} keep - How many backups to keep.
+ * @returns {Promise<Array<string>>} - The file names that were deleted.
+ */
+async function prune({ backupFolder, keep }) {
+  const backups = await list(backupFolder);
+  const toDelete = backups.slice(keep);
+  for (const fileName of toDelete) {
+    // eslint-disable-next-line no-await-in-loop
+    await fs.unlink(path.join(backupFolder, fileName));
+  }
+  return toDelete;
+}
+
+/**
+ * Write a new backup of the given hadrons, and then prune old ones.
+ * @param {string} backupFolder
+ * @param {Map} hadrons - Every hadron, active and inactive.
+ * @param {number} keep - How many backups to keep.
+ * @returns {Promise<string>} - The file name of the new backup.
+ */
+async function create({ backupFolder, hadrons, keep }) {
+  await fs.mkdir(backupFolder, { recursive: true });
+  const fileName = backupFileName(new Date());
+  const filePath = path.join(backupFolder, fileName);
+  // Write to a temporary file first, so that a crash part way through
+  // never leaves a broken backup that looks like a good one.
+  await persistentData.writeMap(`${filePath}.tmp`, hadrons);
+  await fs.rename(`${filePath}.tmp`, filePath);
+  await prune({ backupFolder, keep });
+  return fileName;
+}
+
+/**
+ * Find a backup by its number in the list, or by all or part of its file name.
+ * @param {string} backupFolder
+ * @param {string} search - A number from the /backups list, or part of a file name.
+ * @returns {Promise<string|undefined>} - The file name, or undefined if there isn't exactly one match.
+ */
+async function find({ backupFolder, search }) {
+  const backups = await list(backupFolder);
+  if (/^\d+$/.test(search)) {
+    return backups[Number(search) - 1];
+  }
+  const matches = backups.filter((fileName) => fileName.includes(search));
+  return matches.length === 1 ? matches[0] : undefined;
+}
+
+/**
+ * Read the hadrons in a backup.
+ * @param {string} backupFolder
+ * @param {string} fileName
+ * @param {Function} repair - Called with the Map of hadrons, to fix or leave out invalid ones,
+ * because backups can be older than the current validation rules.
+ * @returns {Promise<Map>}
+ */
+async function read({ backupFolder, fileName, repair }) {
+  const filePath = path.join(backupFolder, fileName);
+  // readMap returns an empty Map for a missing file, which would wipe the world if restored.
+  await fs.access(filePath);
+  const hadrons = await persistentData.readMap(filePath);
+  repair(hadrons);
+  return hadrons;
+}
+
+export default { list, prune, create, find, read };
@@ -0,0 +1,108 @@
+import persistentData from '../persistentData.js';
+
+/*
+The game state is every active and inactive hadron,
+stored one row per hadron in the Hadrons table.
+
+The store remembers what it last wrote for each hadron,
+so that each save only writes the hadrons that changed, and deletes the ones that are gone,
+all in one transaction, so a crash part way through a save leaves the last good save in place.
+
+The hadron itself is stored as JSON in the data column.
+The other columns are copies of a few fields to make it easier to look at the table by hand.
+ */
+
+/**
+ * Create a store to save and load hadrons in the database.
+ * @param {Object} db - The database, with query() and transaction().
+ * @returns {{load: Function, save: Function, importFromFile: Function, exportToFile: Function}}
+ */
+function createGameStateStore({ db }) {
+  let savedRows = new Map();
+
+  async function load() {
+    const result = await db.query('SELECT id, data FROM Hadrons', []);
+    const hadrons = new Map();
+    savedRows = new Map();
+    result.rows.forEach((row) => {
+      hadrons.set(row.id, JSON.parse(row.data));
+      savedRows.set(row.id, row.data);
+    });
+    return hadrons;
+  }
+
+  /**
+   * Make the Hadrons table match the given hadrons.
+   * @param {Map} hadronsToSave - Every hadron, active and inactive.
+   * @returns {Promise<number>} - How many rows were written or deleted.
+   */
+  async function save(hadronsToSave) {
+    const newRows = new Map();
+    const changedIds = [];
+    hadronsToSave.forEach((hadron, key) => {
+      const data = JSON.stringify(hadron);
+      newRows.set(key, data);
+      if (savedRows.get(key) !== data) {
+        changedIds.push(key);
+      }
+    });
+    const deletedIds = [];
+    savedRows.forEach((data, key) => {
+      if (!newRows.has(key)) {
+        deletedIds.push(key);
+      }
+    });
+
+    if (changedIds.length === 0 && deletedIds.length === 0) {
+      return 0;
+    }
+
+    await db.transaction(async () => {
+      for (const key of changedIds) {
+        const hadron = hadronsToSave.get(key);
+        // eslint-disable-next-line no-await-in-loop
+        await db.query(
+          `INSERT INTO Hadrons (id, scn, typ, own, data) VALUES (?, ?, ?, ?, ?)
+           ON CONFLICT(id) DO UPDATE SET scn = excluded.scn, typ = excluded.typ, own = excluded.own, data = excluded.data`,
+          [key, hadron.scn, hadron.typ, hadron.own, newRows.get(key)],
+        );
+      }
+      for (const key of deletedIds) {
+        // eslint-disable-next-line no-await-in-loop
+        await db.query('DELETE FROM Hadrons WHERE id = ?', [key]);
+      }
+    });
+    // Only once the transaction is committed do we know that this is what is in the database.
+    savedRows = newRows;
+    return changedIds.length + deletedIds.length;
+  }
+
+  /**
+   * Replace everything in the Hadrons table with the hadrons in a JSON5 file.
+   * @param {string} path
+   * @param {Function} repair - Called with the Map of hadrons before they are saved, to fix or leave out invalid ones.
+   * @returns {Promise<number>} - How many hadrons were imported.
+   */
+  async function importFromFile(path, repair) {
+    const hadrons = await persistentData.readMap(path);
+    repair(hadrons);
+    // Load first, so that save() knows to delete anything that isn't in the file.
+    await load();
+    await save(hadrons);
+    return hadrons.size;
+  }
+
+  /**
+   * Write hadrons to a JSON5 file for reading or hand editing.
+   * @param {string} path
+   * @param {Map} hadrons
+   * @returns {Promise<void>}
+   */
+  async function exportToFile(path, hadrons) {
+    await persistentData.writeMap(path, hadrons);
+  }
+
+  return { load, save, importFromFile, exportToFile };
+}
+
+export default createGameStateStore;
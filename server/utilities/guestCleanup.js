@@ -0,0 +1,87 @@
+import { randomBytes } from 'crypto';
+import bcrypt from 'bcrypt';
+import logger from './logger.js';
+import removeOwnedHadrons from './removeOwnedHadrons.js';
+
+/*
+Every time someone plays as a guest a new account is made, and most are never used again.
+This finds guests who haven't connected for a while and deletes them
+the same way that deleting an account does, which also frees up their names for new guests.
+Any hadrons they own are deleted too, including ones left in the world with Persist On Disconnect.
+
+Guests who are online, or who were made recently and haven't connected yet, are left alone.
+ */
+
+const log = logger.forSubsystem('persistence');
+
+/**
+ * Delete guest accounts that have not connected for maxIdleDays, and their hadrons.
+ * @param {Object} db
+ * @param {Map} hadrons
+ * @param {Map} inactiveHadrons
+ * @param {Set} deletedHadronIds
+ * @param {Map} connectedPlayerData
+ * @param {Function} socketEmitToId
+ * @param {Function} flagSceneHasUpdated
+ * @param {number} maxIdleDays
+ * @param {number} saltRounds
+ * @returns {Promise<{guests: number, hadrons: number}>} - How many of each were deleted.
+ */
+async function cleanUpGuests({
+  db,
+  hadrons,
+  inactiveHadrons,
+  deletedHadronIds,
+  connectedPlayerData,
+  socketEmitToId,
+  flagSceneHasUpdated,
+  maxIdleDays,
+  saltRounds,
+}) {
+  const cutoff =
+    Math.floor(new Date().getTime() / 1000) - maxIdleDays * 24 * 60 * 60;
+  const result = await db.query(
+    `SELECT id, name FROM Users
+     WHERE guest = 1 AND deleted = 0 AND COALESCE(last_connection, created, 0) < ?`,
+    [cutoff],
+  );
+  const idleGuests = result.rows.filter(
+    (guest) => !connectedPlayerData.has(guest.id),
+  );
+  const summary = { guests: 0, hadrons: 0 };
+  if (idleGuests.length === 0) {
+    return summary;
+  }
+
+  // Nobody ever knew a guest's password, but it is replaced anyway, as it is for deleted accounts.
+  // One hash is shared by everyone in this run, because hashing is slow on purpose.
+  const passwordHash = await bcrypt.hash(
+    randomBytes(64).toString('hex'),
+    saltRounds,
+  );
+  const idleGuestIds = new Set();
+  await db.transaction(async () => {
+    for (const guest of idleGuests) {
+      await db.query(
+        `UPDATE Users SET name = '[DELETED]', password = ?, deleted = 1 WHERE id = ? AND guest = 1 AND deleted = 0`,
+        [passwordHash, guest.id],
+      );
+      idleGuestIds.add(guest.id);
+      log.debug(`Deleted idle guest ${guest.name}`, { id: guest.id });
+    }
+  });
+  summary.guests = idleGuestIds.size;
+
+  summary.hadrons = removeOwnedHadrons({
+    ownerIds: idleGuestIds,
+    hadrons,
+    inactiveHadrons,
+    deletedHadronIds,
+    connectedPlayerData,
+    socketEmitToId,
+    flagSceneHasUpdated,
+  });
+  return summary;
+}
+
+export default cleanUpGuests;
@@ -0,0 +1,121 @@
+import isEqual from 'lodash/isEqual.js';
+
+/*
+Hadrons are sent to clients as deltas instead of as the entire scene every time.
+
+A delta packet looks like this, with any empty parts left out:
+{
+  scn: 'CamelopardalisH8', // The scene these hadrons are in.
+  seq: 42, // Sequence number. Every delta is exactly one higher than the one before it.
+  ful: true, // Only on full snapshots. The client should drop what it has and use only this data.
+  add: Map(), // Whole hadrons that are new to the scene.
+  upd: Map(), // Only the fields that changed on hadrons the client already has.
+  rmk: Map(), // "Removed Keys" - Keys that no longer exist on hadrons the client already has.
+  del: [], // IDs of hadrons that are no longer in the scene.
+}
+
+This is used by both the server to build deltas and the client to apply them,
+so that they always agree on what a delta means.
+ */
+
+/**
+ * Build a delta that turns the previous hadron Map into the current one.
+ * @param {Map} previous - The hadrons as they were last sent.
+ * @param {Map} current - The hadrons as they are now.
+ * @returns {Object} - The delta, without scn or seq, or undefined if nothing changed.
+ */
+function diff(previous, current) {
+  const add = new Map();
+  const upd = new Map();
+  const rmk = new Map();
+  const del = [];
+
+  current.forEach((hadron, key) => {
+    const previousHadron = previous.get(key);
+    if (!previousHadron) {
+      add.set(key, { ...hadron });
+    } else {
+      const changedFields = {};
+      let changed = false;
+      for (const [field, value] of Object.entries(hadron)) {
+        if (!isEqual(previousHadron[field], value)) {
+          changedFields[field] = value;
+          changed = true;
+        }
+      }
+      if (changed) {
+        upd.set(key, changedFields);
+      }
+      const removedFields = Object.keys(previousHadron).filter(
+        (field) => !hadron.hasOwnProperty(field),
+      );
+      if (removedFields.length > 0) {
+        rmk.set(key, removedFields);
+      }
+    }
+  });
+
+  previous.forEach((hadron, key) => {
+    if (!current.has(key)) {
+      del.push(key);
+    }
+  });
+
+  if (add.size === 0 && upd.size === 0 && rmk.size === 0 && del.length === 0) {
+    return undefined;
+  }
+
+  const delta = {};
+  if (add.size > 0) {
+    delta.add = add;
+  }
+  if (upd.size > 0) {
+    delta.upd = upd;
+  }
+  if (rmk.size > 0) {
+    delta.rmk = rmk;
+  }
+  if (del.length > 0) {
+    delta.del = del;
+  }
+  return delta;
+}
+
+/**
+ * Apply a delta to a Map of hadrons.
+ * Returns the list of hadron IDs that were added or changed.
+ * @param {Map} hadrons - The Map to update in place.
+ * @param {Object} delta
+ * @returns {Array<string>}
+ */
+function apply(hadrons, delta) {
+  const touchedKeys = [];
+  if (delta.ful) {
+    hadrons.clear();
+  }
+  delta.add?.forEach((hadron, key) => {
+    hadrons.set(key, { ...hadron });
+    touchedKeys.push(key);
+  });
+  delta.upd?.forEach((changedFields, key) => {
+    hadrons.set(key, { ...hadrons.get(key), ...changedFields });
+    touchedKeys.push(key);
+  });
+  delta.rmk?.forEach((removedFields, key) => {
+    const hadron = hadrons.get(key);
+    if (hadron) {
+      removedFields.forEach((field) => {
+        delete hadron[field];
+      });
+      if (touchedKeys.indexOf(key) === -1) {
+        touchedKeys.push(key);
+      }
+    }
+  });
+  delta.del?.forEach((key) => {
+    hadrons.delete(key);
+  });
+  return touchedKeys;
+}
+
+export default { diff, apply };
@@ -0,0 +1,166 @@
+/*
+The server owns the health (hlt) and max health (mxh) of players and NPCs.
+
+Clients report damage by naming the target AND the hadron that did the damage,
+and the server decides whether that makes sense and how much damage to apply.
+Health values that clients send in their normal hadron updates are ignored,
+except for the few legitimate ways that health goes back up.
+ */
+
+// Every player starts with this much health.
+const defaultMaxHealth = 100;
+
+// Scenes where players are healed, so the client is allowed to raise their health.
+const healingScenes = ['EmptyCave'];
+
+// How far apart, in pixels, a source and target can be and still collide.
+// Both positions are only as fresh as the last update from their clients,
+// so this allows for a spell and a player each moving for half a second of lag.
+const maxDamageDistance = 160;
+
+function hasServerOwnedHealth(hadron) {
+  return hadron?.typ === 'player' || hadron?.flv === 'NPC';
+}
+
+/**
+ * Work out how much damage the source hadron can do to the target hadron.
+ * Returns 0 if the damage request is not valid.
+ * @param {Object} source - The hadron doing the damage, i.e. a spell or an NPC.
+ * @param {Object} target - The hadron being damaged.
+ * @param {String} PlayerId - The player reporting the damage.
+ * @param {Map} hadrons - All active hadrons.
+ * @returns {number}
+ */
+function damageAmount({ source, target, PlayerId, hadrons }) {
+  if (!source || !target || target.off) {
+    return 0;
+  }
+  // You can only report damage done by something you control,
+  // which is how the client code detects collisions in the first place.
+  if (source.ctr !== PlayerId) {
+    return 0;
+  }
+  if (source.scn !== target.scn) {
+    return 0;
+  }
+  if (
+    Math.hypot(
+      Number(source.x) - Number(target.x),
+      Number(source.y) - Number(target.y),
+    ) > maxDamageDistance
+  ) {
+    return 0;
+  }
+  // Nothing can damage its own owner, or things with the same owner.
+  if (source.own === target.id || source.own === target.own) {
+    return 0;
+  }
+  if (source.typ === 'spell') {
+    if (target.typ !== 'player') {
+      // NPCs and Items only ever take one point per spell.
+      return 1;
+    }
+    // Damage Per Shot comes from whoever cast the spell, if it was an NPC.
+    const caster = hadrons.get(source.own);
+    const dps = caster?.flv === 'NPC' ? Number(caster.dps) : 1;
+    return dps > 0 ? dps : 1;
+  }
+  if (
+    source.flv === 'NPC' &&
+    !source.off &&
+    target.typ === 'player' &&
+    Number(source.dpc) > 0
+  ) {
+    return Number(source.dpc);
+  }
+  return 0;
+}
+
+/**
+ * Decide whether a player can take NPC contact damage yet,
+ * and remember the time if they can.
+ * NPCs that hurt on contact collide on every frame,
+ * so this limits how often that damage is applied.
+ * @param {Object} connectedPlayer - The target's entry from connectedPlayerData.
+ * @param {number} interval - Milliseconds between hits. 0 allows every hit.
+ * @param {number} [now] - Milliseconds. Defaults to the current time.
+ * @returns {boolean}
+ */
+function canTakeContactDamage({ connectedPlayer, interval, now }) {
+  const time = now === undefined ? new Date().getTime() : now;
+  if (
+    connectedPlayer.lastContactDamage !== undefined &&
+    time - connectedPlayer.lastContactDamage < interval
+  ) {
+    return false;
+  }
+  connectedPlayer.lastContactDamage = time;
+  return true;
+}
+
+/**
+ * Decide what health values a hadron update is allowed to have,
+ * based on what the server already knows about the hadron.
+ * Updates newHadronData in place.
+ * @param {Object} existingHadron - The hadron as the server has it now.
+ * @param {Object} newHadronData - The incoming update from the client.
+ * @param {Boolean} hasInfiniteHealth - Players with the debug permission may use infinite health.
+ * @param {number} [now] - Milliseconds. Defaults to the current time.
+ */
+function reconcileHealth({
+  existingHadron,
+  newHadronData,
+  hasInfiniteHealth,
+  now,
+}) {
+  if (
+    !hasServerOwnedHealth(existingHadron) ||
+    !existingHadron.hasOwnProperty('hlt')
+  ) {
+    return;
+  }
+  const maxHealth = existingHadron.mxh || defaultMaxHealth;
+  newHadronData.mxh = maxHealth;
+
+  // Hadrons that are turned off come back with full health once their respawn time (ris) is up,
+  // so the server keeps the time they were turned off (tmo) itself, and clients can't cut it short.
+  const seconds = Math.floor(
+    (now === undefined ? new Date().getTime() : now) / 1000,
+  );
+  if (newHadronData.off && !existingHadron.off) {
+    newHadronData.tmo = seconds;
+  } else if (existingHadron.off) {
+    newHadronData.tmo = existingHadron.tmo;
+    newHadronData.ris = existingHadron.ris;
+  }
+
+  let health = existingHadron.hlt;
+  const requestedHealth = Number(newHadronData.hlt);
+  if (!Number.isNaN(requestedHealth) && requestedHealth > health) {
+    const isHealing =
+      healingScenes.indexOf(existingHadron.scn) > -1 &&
+      healingScenes.indexOf(newHadronData.scn) > -1;
+    const isRespawning =
+      existingHadron.off &&
+      !newHadronData.off &&
+      typeof existingHadron.tmo === 'number' &&
+      Number(existingHadron.ris) > 0 &&
+      seconds - existingHadron.tmo > existingHadron.ris;
+    if (
+      isHealing ||
+      isRespawning ||
+      (hasInfiniteHealth && existingHadron.typ === 'player')
+    ) {
+      health = Math.min(requestedHealth, maxHealth);
+    }
+  }
+  newHadronData.hlt = health;
+}
+
+export default {
+  defaultMaxHealth,
+  hasServerOwnedHealth,
+  damageAmount,
+  canTakeContactDamage,
+  reconcileHealth,
+};
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import hadronHealth from './hadronHealth.js';
+
+// Run with: npm test
+
+const npc = { id: 'npc1', flv: 'NPC', scn: 'CamelopardalisH8', mxh: 10 };
+
+function reconcile(existingHadron, newHadronData, now) {
+  const update = { ...newHadronData };
+  hadronHealth.reconcileHealth({
+    existingHadron,
+    newHadronData: update,
+    hasInfiniteHealth: false,
+    now,
+  });
+  return update;
+}
+
+describe('server owned health', () => {
+  it('does not let clients raise health', () => {
+    assert.equal(reconcile({ ...npc, hlt: 3 }, { ...npc, hlt: 10 }).hlt, 3);
+  });
+
+  it('keeps the time a hadron was turned off on the server', () => {
+    const update = reconcile(
+      { ...npc, hlt: 0 },
+      { ...npc, hlt: 0, off: true, tmo: 1 },
+      50000,
+    );
+    assert.equal(update.tmo, 50);
+  });
+
+  it('does not heal hadrons that are turned back on early', () => {
+    const existingHadron = { ...npc, hlt: 2, off: true, tmo: 50, ris: 30 };
+    const update = reconcile(
+      existingHadron,
+      { ...npc, hlt: 10, off: false, tmo: 0, ris: 0 },
+      60000,
+    );
+    assert.equal(update.hlt, 2);
+  });
+
+  it('heals hadrons that respawn after their respawn time', () => {
+    const existingHadron = { ...npc, hlt: 0, off: true, tmo: 50, ris: 30 };
+    const update = reconcile(
+      existingHadron,
+      { ...npc, hlt: 10, off: false },
+      81000,
+    );
+    assert.equal(update.hlt, 10);
+  });
+});
+
+describe('contact damage', () => {
+  it('only hurts a player once per interval', () => {
+    const connectedPlayer = {};
+    const hit = (now) =>
+      hadronHealth.canTakeContactDamage({
+        connectedPlayer,
+        interval: 1000,
+        now,
+      });
+    assert.equal(hit(5000), true);
+    assert.equal(hit(5500), false);
+    assert.equal(hit(6000), true);
+  });
+
+  it('hurts a player on every collision if the interval is 0', () => {
+    const connectedPlayer = {};
+    const hit = (now) =>
+      hadronHealth.canTakeContactDamage({ connectedPlayer, interval: 0, now });
+    assert.equal(hit(5000), true);
+    assert.equal(hit(5000), true);
+  });
+});
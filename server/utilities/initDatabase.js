@@ -1,71 +1,101 @@
-async function initDatabase(db) {
-  async function addOrUpdateTable({ tableName, columns }) {
-    try {
-      let createTableQuery = `CREATE TABLE IF NOT EXISTS ${tableName} (`;
-      let needComma;
-      for (const [key, value] of Object.entries(columns)) {
-        if (needComma) {
-          createTableQuery = `${createTableQuery},`;
-        }
-        createTableQuery = `${createTableQuery} ${key} ${value}`;
-        needComma = true;
-      }
-      createTableQuery = `${createTableQuery})`;
-      await db.query(createTableQuery, []);
-      const tableInfo = await db.query(`PRAGMA table_info(${tableName})`, []);
-      // Add any missing columns to existing tables.
-      for (const [key, value] of Object.entries(columns)) {
-        if (tableInfo.rows.findIndex((x) => x.name === key) === -1) {
-          console.log(`Adding ${key} column to ${tableName} table.`);
-          // eslint-disable-next-line no-await-in-loop
-          await db.query(
-            `ALTER TABLE ${tableName} ADD COLUMN ${key} ${value}`,
-            [],
-          );
-        }
-      }
-    } catch (e) {
-      console.error(e.message);
-      process.exit(1);
+import permissions from './permissions.js';
+import migrations from '../migrations/index.js';
+import logger from './logger.js';
+
+const log = logger.forSubsystem('persistence');
+
+// Bring the database schema up to date by running every migration it hasn't had yet.
+// See migrations/index.js.
+async function migrate(db) {
+  await db.query(
+    `CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      description TEXT,
+      applied INTEGER
+    )`,
+    [],
+  );
+  const result = await db.query(
+    'SELECT MAX(version) AS version FROM schema_version',
+    [],
+  );
+  const databaseVersion = result.rows[0].version || 0;
+  const codeVersion = migrations.length;
+
+  migrations.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+      throw new Error(
+        `Migration number ${index + 1} in migrations/index.js says it is version ${migration.version}.`,
+      );
     }
+  });
+
+  if (databaseVersion > codeVersion) {
+    // Running old code on a new database could quietly break it,
+    // so it is better to not start at all.
+    throw new Error(
+      `The database is at schema version ${databaseVersion}, but this code only knows about version ${codeVersion}. Update the code, or restore a backup of the database from before it was updated.`,
+    );
+  }
+
+  for (const migration of migrations.slice(databaseVersion)) {
+    log.warn(
+      `Migrating database to schema version ${migration.version}: ${migration.description}`,
+    );
+    // eslint-disable-next-line no-await-in-loop
+    await db.transaction(async () => {
+      await migration.up(db);
+      await db.query(
+        'INSERT INTO schema_version (version, description, applied) VALUES (?, ?, ?)',
+        [
+          migration.version,
+          migration.description,
+          Math.floor(new Date().getTime() / 1000),
+        ],
+      );
+    });
+  }
+}
+
+async function initDatabase(db) {
+  // Write-ahead logging lets the game state be saved without blocking everything else,
+  // and keeps the database intact if the server dies part way through a write.
+  // This can't be changed inside a transaction, so it is done before the migrations.
+  try {
+    await db.query('PRAGMA journal_mode = WAL', []);
+  } catch (e) {
+    log.error('Unable to turn on write-ahead logging', { error: e.message });
+    process.exit(1);
   }
 
   // Database initialization.
-  // Creating the users table if it does not exist.
-  await addOrUpdateTable({
-    tableName: 'users',
-    columns: {
-      id: 'TEXT PRIMARY KEY',
-      name: 'TEXT NOT NULL',
-      password: 'TEXT NOT NULL',
-      admin: 'INTEGER DEFAULT 0',
-      last_connection: 'INTEGER',
-      guest: 'INTEGER DEFAULT 0',
-      deleted: 'INTEGER DEFAULT 0',
-      canChat: 'INTEGER DEFAULT 0',
-      canMessage: 'INTEGER DEFAULT 0',
-      finishedGame: 'INTEGER DEFAULT 0',
-    },
-  });
+  try {
+    await migrate(db);
+  } catch (e) {
+    log.error('Aborting server start due to a database migration error', {
+      error: e.message,
+    });
+    process.exit(1);
+  }
+
   // Displaying the user table count for fun and debugging.
   try {
     const result = await db.query('SELECT COUNT(*) AS count FROM Users', []);
     const count = result.rows[0].count;
-    console.log('Registered user count from database:', count);
+    log.info(`Registered user count from database: ${count}`);
   } catch (e) {
-    console.error(e.message);
+    log.error('Unable to count users', { error: e.message });
     process.exit(1);
   }
 
-  // Creating the Connections table if it does not exist.
-  await addOrUpdateTable({
-    tableName: 'Connections',
-    columns: {
-      id: 'TEXT',
-      timestamp: 'INTEGER',
-      ip: 'TEXT',
-    },
-  });
+  // The default roles are data, not schema, and admin gets any new permissions,
+  // so they are checked on every start.
+  try {
+    await permissions.createDefaultRoles(db);
+  } catch (e) {
+    log.error('Unable to create the default roles', { error: e.message });
+    process.exit(1);
+  }
 }
 
 export default initDatabase;
@@ -0,0 +1,167 @@
+import fs from 'fs';
+import path from 'path';
+
+/*
+Server logging.
+
+Every module gets a logger for its subsystem:
+  const log = logger.forSubsystem('hadrons');
+  log.info('Hadron moved', { id, scn });
+
+Each line is written to the console as readable text,
+and to persistentData/logs/server.log as one JSON object per line, for searching with tools like jq.
+The log file is rotated when it gets too big, to server.log.1, server.log.2 and so on.
+
+Levels are set per subsystem in serverConfiguration.json5, for example:
+  logLevels: { default: 'warn', hadrons: 'debug' }
+Anything less important than the level set for its subsystem is not logged at all.
+
+Shared code that also runs in the browser, like validateHadron.js, still uses console directly.
+ */
+
+const levels = ['error', 'warn', 'info', 'debug'];
+
+// Until configure() is called, log everything but debug to the console only.
+let settings = {
+  levels: { default: 'info' },
+  folder: null,
+  maxFileSize: 10 * 1024 * 1024,
+  filesToKeep: 5,
+};
+let fileDescriptor = null;
+let fileSize = 0;
+
+function logFilePath(index) {
+  const fileName = index ? `server.log.${index}` : 'server.log';
+  return path.join(settings.folder, fileName);
+}
+
+function openLogFile() {
+  fs.mkdirSync(settings.folder, { recursive: true });
+  fileDescriptor = fs.openSync(logFilePath(), 'a');
+  fileSize = fs.fstatSync(fileDescriptor).size;
+}
+
+// server.log becomes server.log.1, server.log.1 becomes server.log.2, and so on,
+// and the oldest falls off the end.
+function rotateLogFile() {
+  fs.closeSync(fileDescriptor);
+  for (let index = settings.filesToKeep - 1; index >= 0; index--) {
+    if (fs.existsSync(logFilePath(index))) {
+      if (index + 1 >= settings.filesToKeep) {
+        fs.unlinkSync(logFilePath(index));
+      } else {
+        fs.renameSync(logFilePath(index), logFilePath(index + 1));
+      }
+    }
+  }
+  openLogFile();
+}
+
+// Writes are synchronous so that nothing is lost when the server exits right after logging.
+function writeToFile(line) {
+  if (!fileDescriptor) {
+    return;
+  }
+  try {
+    const lineSize = Buffer.byteLength(line);
+    if (fileSize + lineSize > settings.maxFileSize) {
+      rotateLogFile();
+    }
+    fs.writeSync(fileDescriptor, line);
+    fileSize += lineSize;
+  } catch (e) {
+    // Logging must never take the server down.
+    console.error('Unable to write to log file:', e.message);
+  }
+}
+
+// Errors don't turn into JSON on their own, so keep the useful parts.
+function serializeFields(fields) {
+  const serialized = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    serialized[key] =
+      value instanceof Error
+        ? { message: value.message, stack: value.stack }
+        : value;
+  });
+  return serialized;
+}
+
+function isEnabled(subsystem, level) {
+  const subsystemLevel =
+    settings.levels[subsystem] || settings.levels.default || 'info';
+  return levels.indexOf(level) <= levels.indexOf(subsystemLevel);
+}
+
+function write({ subsystem, level, message, fields }) {
+  if (!isEnabled(subsystem, level)) {
+    return;
+  }
+  const time = new Date().toISOString();
+  const consoleMethod = level === 'error' || level === 'warn' ? 'error' : 'log';
+  if (fields && Object.keys(fields).length > 0) {
+    console[consoleMethod](
+      `${time} ${level} [${subsystem}] ${message}`,
+      serializeFields(fields),
+    );
+  } else {
+    console[consoleMethod](`${time} ${level} [${subsystem}] ${message}`);
+  }
+  writeToFile(
+    `${JSON.stringify({
+      time,
+      level,
+      subsystem,
+      message,
+      ...serializeFields(fields || {}),
+    })}\n`,
+  );
+}
+
+/**
+ * Set the levels and start writing to the log file.
+ * @param {Object} levelsBySubsystem - Like { default: 'info', hadrons: 'debug' }
+ * @param {string} folder - Where to put the log files.
+ * @param {number} [maxFileSize] - Bytes before the log file is rotated.
+ * @param {number} [filesToKeep] - How many log files to keep, including the current one.
+ */
+function configure({ levelsBySubsystem, folder, maxFileSize, filesToKeep }) {
+  Object.entries(levelsBySubsystem).forEach(([subsystem, level]) => {
+    if (levels.indexOf(level) === -1) {
+      throw new Error(
+        `Unknown log level ${level} for ${subsystem}. Use one of: ${levels.join(', ')}`,
+      );
+    }
+  });
+  if (fileDescriptor) {
+    fs.closeSync(fileDescriptor);
+    fileDescriptor = null;
+  }
+  settings = {
+    levels: levelsBySubsystem,
+    folder,
+    maxFileSize: maxFileSize || settings.maxFileSize,
+    filesToKeep: filesToKeep || settings.filesToKeep,
+  };
+  openLogFile();
+}
+
+/**
+ * Get a logger that tags everything with a subsystem name.
+ * @param {string} subsystem - Such as auth, hadrons, chat or persistence.
+ * @returns {{error: Function, warn: Function, info: Function, debug: Function, isEnabled: Function}}
+ */
+function forSubsystem(subsystem) {
+  const subsystemLogger = {
+    // Check before building anything expensive to log.
+    isEnabled: (level) => isEnabled(subsystem, level),
+  };
+  levels.forEach((level) => {
+    subsystemLogger[level] = (message, fields) =>
+      write({ subsystem, level, message, fields });
+  });
+  return subsystemLogger;
+}
+
+export default { configure, forSubsystem, levels };
@@ -0,0 +1,113 @@
+/*
+Mail is for leaving a note for a player who might not be online.
+Letters are kept in the Mail table until the mailbox needs room for new ones,
+when the oldest letters that have been read are deleted.
+
+There are limits so that mail can't be used to flood someone, or the database:
+letters have a maximum length, each player can only send so many an hour,
+and nobody can be sent more letters when their mailbox is full of unread ones.
+ */
+
+const maxLetterLength = 500;
+const lettersPerHour = 10;
+const mailboxSize = 50;
+// How many letters /inbox lists.
+const inboxListLength = 20;
+
+/**
+ * Send a letter, if the limits allow it.
+ * @param {Object} db
+ * @param {Object} from - The sender, with id and name.
+ * @param {Object} to - The recipient, with id and name.
+ * @param {string} content
+ * @returns {Promise<string|undefined>} - Why the letter wasn't sent, or undefined if it was.
+ */
+async function send({ db, from, to, content }) {
+  if (content.length > maxLetterLength) {
+    return `Letters can be up to ${maxLetterLength} characters long. Yours is ${content.length}.`;
+  }
+  const timestamp = Math.floor(new Date().getTime() / 1000);
+  const sentResult = await db.query(
+    'SELECT COUNT(*) AS count FROM Mail WHERE fromUserId = ? AND timestamp > ?',
+    [from.id, timestamp - 60 * 60],
+  );
+  if (sentResult.rows[0].count >= lettersPerHour) {
+    return `You can only send ${lettersPerHour} letters an hour. Try again later.`;
+  }
+  const unreadResult = await db.query(
+    'SELECT COUNT(*) AS count FROM Mail WHERE toUserId = ? AND read = 0',
+    [to.id],
+  );
+  if (unreadResult.rows[0].count >= mailboxSize) {
+    return `${to.name}'s mailbox is full.`;
+  }
+  await db.transaction(async () => {
+    await db.query(
+      'INSERT INTO Mail (toUserId, fromUserId, fromName, content, timestamp) VALUES (?, ?, ?, ?, ?)',
+      [to.id, from.id, from.name, content, timestamp],
+    );
+    // Make room by throwing away the oldest letters that have been read.
+    await db.query(
+      `DELETE FROM Mail WHERE toUserId = ? AND read = 1 AND id NOT IN
+        (SELECT id FROM Mail WHERE toUserId = ? ORDER BY id DESC LIMIT ?)`,
+      [to.id, to.id, mailboxSize],
+    );
+  });
+  return undefined;
+}
+
+/**
+ * @param {Object} db
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+async function countUnread({ db, userId }) {
+  const result = await db.query(
+    'SELECT COUNT(*) AS count FROM Mail WHERE toUserId = ? AND read = 0',
+    [userId],
+  );
+  return result.rows[0].count;
+}
+
+/**
+ * List a player's newest letters, newest first.
+ * Their number in this list is how /read finds them.
+ * @param {Object} db
+ * @param {string} userId
+ * @returns {Promise<Array<{id: number, fromName: string, content: string, timestamp: number, read: number}>>}
+ */
+async function list({ db, userId }) {
+  const result = await db.query(
+    `SELECT id, fromName, content, timestamp, read FROM Mail
+     WHERE toUserId = ? ORDER BY id DESC LIMIT ?`,
+    [userId, inboxListLength],
+  );
+  return result.rows;
+}
+
+/**
+ * Get a letter and mark it as read.
+ * @param {Object} db
+ * @param {string} userId
+ * @param {number} [number] - The letter's number in list(). Leave out to read the oldest unread letter.
+ * @returns {Promise<Object|undefined>} - The letter, in the same shape as list() returns.
+ */
+async function read({ db, userId, number }) {
+  let letter;
+  if (number === undefined) {
+    const result = await db.query(
+      `SELECT id, fromName, content, timestamp, read FROM Mail
+       WHERE toUserId = ? AND read = 0 ORDER BY id LIMIT 1`,
+      [userId],
+    );
+    letter = result.rows[0];
+  } else {
+    letter = (await list({ db, userId }))[number - 1];
+  }
+  if (letter && !letter.read) {
+    await db.query('UPDATE Mail SET read = 1 WHERE id = ?', [letter.id]);
+  }
+  return letter;
+}
+
+export default { send, countUnread, list, read };
@@ -0,0 +1,124 @@
+/*
+A tiny set of metrics, served by /api/metrics in the Prometheus text format.
+See https://prometheus.io/docs/instrumenting/exposition_formats/
+
+Counters only ever go up, and Prometheus works out rates from them,
+so "broadcasts per second" is rate(witchazzan_hadron_broadcasts_total[1m]).
+Gauges are set to whatever the value is right now,
+usually just before the metrics are rendered.
+ */
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries
+    .map(([key, value]) => `${key}="${escapeLabelValue(value)}"`)
+    .join(',')}}`;
+}
+
+/**
+ * Create a set of metrics.
+ * @returns {{define: Function, add: Function, set: Function, remove: Function, clear: Function, render: Function}}
+ */
+function createMetrics() {
+  // name -> { type, help, series: Map(formatted labels -> { labels, value }) }
+  const metrics = new Map();
+
+  /**
+   * Declare a metric before using it.
+   * @param {string} name
+   * @param {string} type - 'counter' or 'gauge'
+   * @param {string} help - Shown to whoever reads the metrics.
+   */
+  function define(name, type, help) {
+    metrics.set(name, { type, help, series: new Map() });
+  }
+
+  function getSeries(name, labels) {
+    const metric = metrics.get(name);
+    if (!metric) {
+      throw new Error(`Metric ${name} has not been defined.`);
+    }
+    const key = formatLabels(labels);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { labels, value: 0 });
+    }
+    return metric.series.get(key);
+  }
+
+  /**
+   * Add to a counter.
+   * @param {string} name
+   * @param {Object} [labels]
+   * @param {number} [amount]
+   */
+  function add(name, labels = {}, amount = 1) {
+    getSeries(name, labels).value += amount;
+  }
+
+  /**
+   * Set a gauge.
+   * @param {string} name
+   * @param {Object} [labels]
+   * @param {number} value
+   */
+  function set(name, labels, value) {
+    getSeries(name, labels).value = value;
+  }
+
+  /**
+   * Forget every series of a metric that has all of the given labels,
+   * such as the ones for a socket that has disconnected.
+   * @param {string} name
+   * @param {Object} labels
+   */
+  function remove(name, labels) {
+    const metric = metrics.get(name);
+    metric.series.forEach((series, key) => {
+      if (
+        Object.entries(labels).every(
+          ([labelName, value]) => series.labels[labelName] === value,
+        )
+      ) {
+        metric.series.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Forget every series of a metric,
+   * so that gauges for things that are gone, like empty scenes, are not reported.
+   * @param {string} name
+   */
+  function clear(name) {
+    metrics.get(name).series.clear();
+  }
+
+  /**
+   * @returns {string} - Every metric in the Prometheus text format.
+   */
+  function render() {
+    let output = '';
+    metrics.forEach((metric, name) => {
+      output += `# HELP ${name} ${metric.help}\n`;
+      output += `# TYPE ${name} ${metric.type}\n`;
+      metric.series.forEach((series, key) => {
+        output += `${name}${key} ${series.value}\n`;
+      });
+    });
+    return output;
+  }
+
+  return { define, add, set, remove, clear, render };
+}
+
+export default createMetrics;
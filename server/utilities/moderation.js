@@ -0,0 +1,124 @@
+/*
+Bans and mutes are both stored in the Bans table, with the kind column telling them apart.
+Rows are never deleted, so that there is a record of who was banned, by whom, and why.
+Unbanning sets lifted to 1 instead.
+ */
+
+const durationUnits = {
+  m: 60,
+  h: 60 * 60,
+  d: 60 * 60 * 24,
+  w: 60 * 60 * 24 * 7,
+};
+
+const permanentDurations = ['perm', 'permanent', 'forever'];
+
+/**
+ * Turn a duration like 30m, 12h, 7d or 2w into seconds.
+ * @param {string} duration
+ * @returns {number|null|undefined} - Seconds, null for permanent, or undefined if it isn't a duration.
+ */
+function parseDuration(duration) {
+  if (!duration) {
+    return undefined;
+  }
+  if (permanentDurations.indexOf(duration.toLowerCase()) > -1) {
+    return null;
+  }
+  const match = duration.toLowerCase().match(/^(\d+)([mhdw])$/);
+  if (!match) {
+    return undefined;
+  }
+  return Number(match[1]) * durationUnits[match[2]];
+}
+
+/**
+ * Find the active ban or mute for a user, if there is one.
+ * Permanent ones win over ones that expire.
+ * @param {Object} db
+ * @param {string} userId
+ * @param {string} kind - 'ban' or 'mute'
+ * @returns {Promise<Object|undefined>}
+ */
+async function getActive({ db, userId, kind }) {
+  const now = Math.floor(new Date().getTime() / 1000);
+  const result = await db.query(
+    `SELECT kind, reason, expires, createdBy, timestamp FROM Bans
+     WHERE userId = ? AND kind = ? AND lifted = 0 AND (expires IS NULL OR expires > ?)
+     ORDER BY expires IS NULL DESC, expires DESC LIMIT 1`,
+    [userId, kind, now],
+  );
+  return result.rows[0];
+}
+
+/**
+ * Record a new ban or mute.
+ * @param {Object} db
+ * @param {string} userId
+ * @param {string} kind - 'ban' or 'mute'
+ * @param {number|null} duration - Seconds, or null for permanent.
+ * @param {string} reason
+ * @param {string} createdBy - The name of the admin who did it.
+ * @returns {Promise<Object>} - The new record, in the same shape as getActive returns.
+ */
+async function add({ db, userId, kind, duration, reason, createdBy }) {
+  const timestamp = Math.floor(new Date().getTime() / 1000);
+  const expires = duration === null ? null : timestamp + duration;
+  await db.query(
+    'INSERT INTO Bans (userId, kind, reason, expires, createdBy, timestamp) VALUES (?, ?, ?, ?, ?, ?);',
+    [userId, kind, reason, expires, createdBy, timestamp],
+  );
+  return { kind, reason, expires, createdBy, timestamp };
+}
+
+/**
+ * Lift every active ban or mute for a user.
+ * @param {Object} db
+ * @param {string} userId
+ * @param {string} kind - 'ban' or 'mute'
+ * @returns {Promise<boolean>} - Whether there was anything to lift.
+ */
+async function lift({ db, userId, kind }) {
+  const existing = await getActive({ db, userId, kind });
+  if (!existing) {
+    return false;
+  }
+  await db.query(
+    'UPDATE Bans SET lifted = 1 WHERE userId = ? AND kind = ? AND lifted = 0',
+    [userId, kind],
+  );
+  return true;
+}
+
+/**
+ * Check whether a connected player's mute is still in effect.
+ * Mutes are looked up once when the player joins and kept in connectedPlayerData,
+ * so that chat doesn't need to query the database.
+ * @param {Object} connectedPlayer - The player's entry from connectedPlayerData.
+ * @returns {boolean}
+ */
+function isMuted(connectedPlayer) {
+  const mute = connectedPlayer?.mute;
+  if (!mute) {
+    return false;
+  }
+  return mute.expires === null || mute.expires > new Date().getTime() / 1000;
+}
+
+/**
+ * Describe a ban or mute for the admin who issued it, and for the server log.
+ * The client formats its own version, in the player's time zone.
+ * @param {Object} record
+ * @returns {string}
+ */
+function describe(record) {
+  let description = record.expires
+    ? `until ${new Date(record.expires * 1000).toISOString()}`
+    : 'permanently';
+  if (record.reason) {
+    description += ` for: ${record.reason}`;
+  }
+  return description;
+}
+
+export default { parseDuration, getActive, add, lift, isMuted, describe };
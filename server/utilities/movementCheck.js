@@ -0,0 +1,172 @@
+import sceneManifest from './sceneManifest.js';
+import sceneExits from './sceneExits.js';
+
+/*
+Clients move their own players, and send the new position in their player hadron.
+The server can't run the physics, but it can catch moves that no honest client could make:
+moving faster than the player's top speed, or ending up outside the scene.
+
+Network lag bunches updates up, so the allowed distance is generous.
+Teleports within a scene are allowed if the player lands on where one of them leads.
+Changing scenes is only allowed through one of the old scene's exits (see sceneExits.js),
+to the scenes the game itself sends players to,
+or by players with the teleport permission.
+
+The last accepted position is kept in the player's connectedPlayerData entry.
+ */
+
+// Extra time allowed for each move, in seconds, to cover updates that arrive bunched up.
+const latencyAllowance = 0.5;
+// How much faster than maxPlayerSpeed a move can be before it is flagged.
+const speedTolerance = 1.5;
+// Flags within this many seconds of each other count towards being a repeat offender.
+const strikeWindow = 60;
+// How many flags within the strike window make a repeat offender.
+const strikesToReport = 5;
+// Scenes the game sends players to from anywhere, without an exit:
+// dead players wake up in the EmptyCave, and the inventory is in the Library.
+const scenesReachableFromAnywhere = ['EmptyCave', 'Library'];
+
+/**
+ * Check whether a position is inside a scene, including its teleport edges.
+ * @param {string} sceneName
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+function isInBounds(sceneName, x, y) {
+  const gameSize = sceneManifest.get(sceneName)?.gameSize;
+  if (!gameSize) {
+    return false;
+  }
+  const fullWidth = gameSize.width + gameSize.teleportLayerSize * 2;
+  const fullHeight = gameSize.height + gameSize.teleportLayerSize * 2;
+  return x >= 0 && x <= fullWidth && y >= 0 && y <= fullHeight;
+}
+
+/**
+ * Check whether a player can go from the scene they were last in to a new one.
+ * @param {Object} last - The player's last accepted move.
+ * @param {string} sceneName - The new scene.
+ * @param {boolean} canTeleport - The player has the teleport permission.
+ * @param {string} defaultOpeningScene - Where the client goes when it doesn't know where the cave exit leads.
+ * @returns {boolean}
+ */
+function canChangeScene({ last, sceneName, canTeleport, defaultOpeningScene }) {
+  if (canTeleport || scenesReachableFromAnywhere.includes(sceneName)) {
+    return true;
+  }
+  const exits = sceneExits.get(last.scn);
+  if (!exits) {
+    // Without the map there is no way to know, and the error is already logged.
+    return true;
+  }
+  return (
+    exits.has(sceneName) ||
+    (exits.has('Previous') && sceneName === last.previousScn) ||
+    (exits.has('CaveExit') &&
+      (sceneName === last.caveExitScn || sceneName === defaultOpeningScene))
+  );
+}
+
+/**
+ * Check a player's move, and remember it if it is allowed.
+ * @param {Object} connectedPlayer - The player's entry from connectedPlayerData.
+ * @param {Object} hadron - The player's hadron, as sent by the client.
+ * @param {number} maxPlayerSpeed - Pixels per second.
+ * @param {boolean} [canTeleport] - The player has the teleport permission.
+ * @param {string} [defaultOpeningScene]
+ * @param {number} [now] - Milliseconds. Defaults to the current time.
+ * @returns {{allowed: boolean, reason?: string, correction?: {scn: string, x: number, y: number}, repeatOffender?: boolean}}
+ */
+function checkMove({
+  connectedPlayer,
+  hadron,
+  maxPlayerSpeed,
+  canTeleport,
+  defaultOpeningScene,
+  now,
+}) {
+  const time = now === undefined ? new Date().getTime() : now;
+  const last = connectedPlayer.movement;
+
+  let reason;
+  if (
+    typeof hadron.x !== 'number' ||
+    typeof hadron.y !== 'number' ||
+    !isInBounds(hadron.scn, hadron.x, hadron.y)
+  ) {
+    reason = 'out of bounds';
+  } else if (last && last.scn === hadron.scn) {
+    const distance = Math.hypot(hadron.x - last.x, hadron.y - last.y);
+    const elapsed = (time - last.time) / 1000;
+    const allowedDistance =
+      maxPlayerSpeed * speedTolerance * (elapsed + latencyAllowance);
+    // Local teleports jump across the scene, so a move that lands on one is fine.
+    const landedOnLocalTeleport = sceneExits
+      .localTargets(hadron.scn)
+      .some(
+        (target) =>
+          Math.hypot(hadron.x - target.x, hadron.y - target.y) <=
+          allowedDistance,
+      );
+    if (distance > allowedDistance && !landedOnLocalTeleport) {
+      reason = `moved ${Math.round(distance)} pixels in ${elapsed} seconds`;
+    }
+  } else if (
+    last?.scn &&
+    !canChangeScene({
+      last,
+      sceneName: hadron.scn,
+      canTeleport,
+      defaultOpeningScene,
+    })
+  ) {
+    reason = `went from ${last.scn} to ${hadron.scn} without using an exit`;
+  }
+
+  if (!reason) {
+    const changedScene = last?.scn && last.scn !== hadron.scn;
+    connectedPlayer.movement = {
+      scn: hadron.scn,
+      x: hadron.x,
+      y: hadron.y,
+      time,
+      strikes: last?.strikes || [],
+      // Remembered for exits that lead back to where the player came from.
+      previousScn: changedScene ? last.scn : last?.previousScn,
+      caveExitScn:
+        changedScene &&
+        hadron.scn === 'EmptyCave' &&
+        sceneExits.get(last.scn)?.has('EmptyCave')
+          ? last.scn
+          : last?.caveExitScn,
+    };
+    return { allowed: true };
+  }
+
+  // Only count recent strikes, so that one bad connection years ago doesn't count.
+  const strikes = (last?.strikes || []).filter(
+    (strikeTime) => time - strikeTime < strikeWindow * 1000,
+  );
+  strikes.push(time);
+  const result = {
+    allowed: false,
+    reason,
+    repeatOffender: strikes.length >= strikesToReport,
+  };
+  if (last?.scn) {
+    // Time is not updated, so that the next move is measured from the last good one.
+    connectedPlayer.movement = { ...last, strikes };
+    result.correction = { scn: last.scn, x: last.x, y: last.y };
+  } else {
+    connectedPlayer.movement = { strikes };
+  }
+  if (result.repeatOffender) {
+    // Start counting again, so that it is reported once per batch of strikes, not on every move.
+    connectedPlayer.movement.strikes = [];
+  }
+  return result;
+}
+
+export default { isInBounds, canChangeScene, checkMove };
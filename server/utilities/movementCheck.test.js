@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import movementCheck from './movementCheck.js';
+
+// Run with: npm test
+
+const maxPlayerSpeed = 175;
+
+function move(connectedPlayer, scn, x, y, now, options = {}) {
+  return movementCheck.checkMove({
+    connectedPlayer,
+    hadron: { scn, x, y },
+    maxPlayerSpeed,
+    defaultOpeningScene: 'CamelopardalisH8',
+    now,
+    ...options,
+  });
+}
+
+describe('movement check', () => {
+  it('allows walking at normal speed', () => {
+    const player = {};
+    assert.equal(move(player, 'CamelopardalisH8', 100, 100, 0).allowed, true);
+    assert.equal(move(player, 'CamelopardalisH8', 150, 100, 500).allowed, true);
+  });
+
+  it('puts players who move too fast back where they were', () => {
+    const player = {};
+    move(player, 'CamelopardalisH8', 100, 100, 0);
+    const result = move(player, 'CamelopardalisH8', 600, 100, 100);
+    assert.equal(result.allowed, false);
+    assert.deepEqual(result.correction, {
+      scn: 'CamelopardalisH8',
+      x: 100,
+      y: 100,
+    });
+  });
+
+  it('allows jumping across the Library through a Local teleport', () => {
+    const player = {};
+    move(player, 'Library', 580, 207, 0);
+    assert.equal(move(player, 'Library', 104, 208, 100).allowed, true);
+  });
+
+  it('allows changing scenes through an exit', () => {
+    const player = {};
+    move(player, 'CamelopardalisH8', 100, 100, 0);
+    assert.equal(move(player, 'CamelopardalisH7', 100, 100, 100).allowed, true);
+  });
+
+  it('refuses changing scenes without an exit, unless the player can teleport', () => {
+    const player = {};
+    move(player, 'CamelopardalisH8', 100, 100, 0);
+    assert.equal(move(player, 'BlackWaterCave', 100, 100, 100).allowed, false);
+    assert.equal(
+      move(player, 'BlackWaterCave', 100, 100, 200, { canTeleport: true })
+        .allowed,
+      true,
+    );
+  });
+
+  it('allows going back to the previous scene from the Library', () => {
+    const player = {};
+    move(player, 'CamelopardalisH7', 100, 100, 0);
+    move(player, 'Library', 352, 208, 100);
+    assert.equal(
+      move(player, 'CamelopardalisH8', 100, 100, 200).allowed,
+      false,
+    );
+    assert.equal(move(player, 'CamelopardalisH7', 100, 100, 300).allowed, true);
+  });
+});
@@ -0,0 +1,79 @@
+import { randomInt } from 'crypto';
+import bcrypt from 'bcrypt';
+
+/*
+We don't have players' email addresses, so a player who forgets their password
+asks an admin, who makes them a reset code with /resetCode.
+The player types the code and a new password into the sign-in page.
+
+Codes are only kept hashed, like passwords, in the PasswordResetCodes table.
+Each player can only have one code at a time, which works once,
+and stops working when it expires or after too many wrong guesses.
+ */
+
+const codeLifetimeSeconds = 24 * 60 * 60;
+const maxAttempts = 5;
+// No 0, O, 1, I or L, so that codes can be read out without confusion.
+const codeCharacters = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const codeLength = 10;
+
+/**
+ * Make a new reset code for a player, replacing any code they had.
+ * @param {Object} db
+ * @param {string} userId
+ * @param {string} createdBy - The name of the admin who made it.
+ * @param {number} saltRounds
+ * @returns {Promise<{code: string, expires: number}>} - The code, which is not kept anywhere, so it must be given to the player now.
+ */
+async function create({ db, userId, createdBy, saltRounds }) {
+  let code = '';
+  for (let i = 0; i < codeLength; i++) {
+    code += codeCharacters[randomInt(codeCharacters.length)];
+  }
+  const expires = Math.floor(new Date().getTime() / 1000) + codeLifetimeSeconds;
+  await db.query(
+    'INSERT OR REPLACE INTO PasswordResetCodes (userId, codeHash, expires, attempts, createdBy) VALUES (?, ?, ?, 0, ?)',
+    [userId, await bcrypt.hash(code, saltRounds), expires, createdBy],
+  );
+  return { code, expires };
+}
+
+/**
+ * Check a player's reset code, and use it up if it is right.
+ * Wrong guesses count against the code, and it is thrown away after too many of them.
+ * @param {Object} db
+ * @param {string} userId
+ * @param {string} code - As the player typed it. Case and spaces don't matter.
+ * @returns {Promise<boolean>} - Whether the code was right.
+ */
+async function redeem({ db, userId, code }) {
+  const result = await db.query(
+    'SELECT codeHash, expires, attempts FROM PasswordResetCodes WHERE userId = ?',
+    [userId],
+  );
+  const resetCode = result.rows[0];
+  if (!resetCode) {
+    return false;
+  }
+  if (
+    resetCode.expires < Math.floor(new Date().getTime() / 1000) ||
+    resetCode.attempts >= maxAttempts
+  ) {
+    await db.query('DELETE FROM PasswordResetCodes WHERE userId = ?', [userId]);
+    return false;
+  }
+  const cleanCode = String(code || '')
+    .toUpperCase()
+    .replace(/\s/g, '');
+  if (!(await bcrypt.compare(cleanCode, resetCode.codeHash))) {
+    await db.query(
+      'UPDATE PasswordResetCodes SET attempts = attempts + 1 WHERE userId = ?',
+      [userId],
+    );
+    return false;
+  }
+  await db.query('DELETE FROM PasswordResetCodes WHERE userId = ?', [userId]);
+  return true;
+}
+
+export default { create, redeem };
@@ -0,0 +1,145 @@
+/*
+What a player is allowed to do comes from their roles.
+Each role has a list of permissions in the RolePermissions table,
+and players are given roles in the UserRoles table.
+
+The permissions are defined here, in code, because the code is what checks them.
+The roles live in the database so that new ones can be made without a code change,
+but the default roles below are created on startup if they don't exist yet.
+ */
+
+const permissions = {
+  chat: 'Send chat messages.',
+  dropMessage: 'Drop messages for other players to find.',
+  teleport: 'Teleport to any scene.',
+  deleteHadrons: 'Delete hadrons.',
+  moderate: 'Kick, ban and mute players.',
+  manageRoles: 'Give roles to players and take them away.',
+  debug: 'Use debugging tools and infinite health.',
+  manageServer: 'Export, back up and restore the game state.',
+  viewConnections: 'See who has connected, and when.',
+  resetPasswords: 'Give players codes to reset forgotten passwords.',
+};
+
+const defaultRoles = {
+  admin: {
+    description: 'Can do everything.',
+    // Admins always get every permission, including ones added later.
+    permissions: Object.keys(permissions),
+  },
+  moderator: {
+    description: 'Keeps the peace.',
+    permissions: ['chat', 'dropMessage', 'teleport', 'moderate'],
+  },
+  chatter: {
+    description: 'Can chat.',
+    permissions: ['chat'],
+  },
+  messenger: {
+    description: 'Can drop messages.',
+    permissions: ['dropMessage'],
+  },
+};
+
+// The names of the old privileges, so that old commands like /op still work.
+const roleAliases = {
+  op: 'admin',
+  mod: 'moderator',
+  canchat: 'chatter',
+  canmessage: 'messenger',
+};
+
+/**
+ * Create any default roles that are missing from the database.
+ * Roles that already exist are left alone, so that they can be edited,
+ * except that admin is always given every permission.
+ * @param {Object} db
+ * @returns {Promise<void>}
+ */
+async function createDefaultRoles(db) {
+  for (const [role, roleDefinition] of Object.entries(defaultRoles)) {
+    // eslint-disable-next-line no-await-in-loop
+    const existing = await db.query('SELECT name FROM Roles WHERE name = ?', [
+      role,
+    ]);
+    if (existing.rows.length === 0 || role === 'admin') {
+      // eslint-disable-next-line no-await-in-loop
+      await db.query(
+        'INSERT OR IGNORE INTO Roles (name, description) VALUES (?, ?)',
+        [role, roleDefinition.description],
+      );
+      for (const permission of roleDefinition.permissions) {
+        // eslint-disable-next-line no-await-in-loop
+        await db.query(
+          'INSERT OR IGNORE INTO RolePermissions (role, permission) VALUES (?, ?)',
+          [role, permission],
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Turn a role name typed into a command into the name of a role in the database.
+ * @param {Object} db
+ * @param {string} roleName
+ * @returns {Promise<string|undefined>} - undefined if there is no such role.
+ */
+async function findRole({ db, roleName }) {
+  const name = roleAliases[roleName.toLowerCase()] || roleName;
+  const result = await db.query('SELECT name FROM Roles WHERE name LIKE ?', [
+    name,
+  ]);
+  return result.rows[0]?.name;
+}
+
+/**
+ * Get the names of every role a user has.
+ * @param {Object} db
+ * @param {string} userId
+ * @returns {Promise<Array<string>>}
+ */
+async function getRoles({ db, userId }) {
+  const result = await db.query(
+    'SELECT role FROM UserRoles WHERE userId = ? ORDER BY role',
+    [userId],
+  );
+  return result.rows.map((row) => row.role);
+}
+
+/**
+ * Get every permission a user has from all of their roles.
+ * @param {Object} db
+ * @param {string} userId
+ * @returns {Promise<Array<string>>}
+ */
+async function getPermissions({ db, userId }) {
+  const result = await db.query(
+    `SELECT DISTINCT RolePermissions.permission FROM UserRoles
+     JOIN RolePermissions ON UserRoles.role = RolePermissions.role
+     WHERE UserRoles.userId = ? ORDER BY RolePermissions.permission`,
+    [userId],
+  );
+  return result.rows.map((row) => row.permission);
+}
+
+/**
+ * Check a connected player for a permission.
+ * Permissions are looked up when the player joins and kept in connectedPlayerData,
+ * so this doesn't need the database.
+ * @param {Object} connectedPlayer - The player's entry from connectedPlayerData.
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function hasPermission(connectedPlayer, permission) {
+  return Boolean(connectedPlayer?.permissions?.includes(permission));
+}
+
+export default {
+  permissions,
+  createDefaultRoles,
+  findRole,
+  getRoles,
+  getPermissions,
+  hasPermission,
+};
@@ -0,0 +1,31 @@
+import validateHadron from './validateHadron.js';
+import logger from './logger.js';
+
+const log = logger.forSubsystem('hadrons');
+
+/**
+ * Check a hadron from a client before accepting it,
+ * and if it is invalid, tell that client exactly what is wrong with it,
+ * so that the bug can be found from the browser console.
+ * @param {Object} context - The socket handler context.
+ * @param {Object} player - The player who sent the hadron.
+ * @param {Object} hadron - The hadron as it would be stored, with ctr and own set.
+ * @returns {boolean} - True if the hadron was rejected.
+ */
+function rejectInvalidHadron({ context, player, hadron }) {
+  const problems = validateHadron.findProblems(hadron, { server: true });
+  if (problems.length === 0) {
+    return false;
+  }
+  log.info(`Rejected invalid hadron ${hadron.id} from ${player.name}`, {
+    problems,
+  });
+  context.socketEmitToId({
+    emitToId: player.socket.id,
+    socketEvent: 'hadronRejected',
+    data: { id: hadron.id, problems },
+  });
+  return true;
+}
+
+export default rejectInvalidHadron;
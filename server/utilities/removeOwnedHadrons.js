@@ -0,0 +1,52 @@
+/**
+ * Delete the hadrons that belong to some players, whether they are in the world or put away,
+ * while the server is running.
+ * Deleted IDs are added to the tombstone list so that clients cannot send them back.
+ * The caller must send and save the hadrons afterwards if anything was deleted.
+ * @param {Set<string>} ownerIds - The players whose hadrons to delete.
+ * @param {Function} [filter] - Only delete hadrons that this returns true for.
+ * @param {Map} hadrons
+ * @param {Map} inactiveHadrons
+ * @param {Set} deletedHadronIds
+ * @param {Map} connectedPlayerData
+ * @param {Function} socketEmitToId
+ * @param {Function} flagSceneHasUpdated
+ * @returns {number} - How many were deleted.
+ */
+function removeOwnedHadrons({
+  ownerIds,
+  filter = () => true,
+  hadrons,
+  inactiveHadrons,
+  deletedHadronIds,
+  connectedPlayerData,
+  socketEmitToId,
+  flagSceneHasUpdated,
+}) {
+  let count = 0;
+  inactiveHadrons.forEach((hadron, key) => {
+    if (ownerIds.has(hadron.own) && filter(hadron)) {
+      inactiveHadrons.delete(key);
+      count++;
+    }
+  });
+  hadrons.forEach((hadron, key) => {
+    if (ownerIds.has(hadron.own) && filter(hadron)) {
+      deletedHadronIds.add(key);
+      // Someone else might be holding it, and must be told to let go.
+      if (connectedPlayerData.has(hadron.ctr)) {
+        socketEmitToId({
+          emitToId: connectedPlayerData.get(hadron.ctr).socketId,
+          socketEvent: 'deleteHadron',
+          data: key,
+        });
+      }
+      flagSceneHasUpdated(hadron.scn);
+      hadrons.delete(key);
+      count++;
+    }
+  });
+  return count;
+}
+
+export default removeOwnedHadrons;
@@ -0,0 +1,41 @@
+import validateHadron from './validateHadron.js';
+import logger from './logger.js';
+
+const log = logger.forSubsystem('persistence');
+
+/**
+ * Check hadrons that were saved to the database, a backup or hadrons.json5.
+ * Hadrons saved before a rule was tightened can break it,
+ * so invalid optional keys are dropped, and hadrons that are still invalid without them are left out.
+ * Updates the Map in place, and logs what was wrong with each one.
+ * @param {Map} hadrons - The saved hadrons, by id.
+ * @param {string} source - Where they were saved, for the log.
+ */
+function repairSavedHadrons({ hadrons, source }) {
+  hadrons.forEach((hadron, key) => {
+    const problems = validateHadron.findProblems(hadron, { server: true });
+    if (problems.length === 0) {
+      return;
+    }
+    const repairedHadron = { ...hadron };
+    problems.forEach((problem) => {
+      delete repairedHadron[problem.key];
+    });
+    if (
+      validateHadron.findProblems(repairedHadron, { server: true }).length === 0
+    ) {
+      log.warn(`Removed invalid keys from hadron ${key} in ${source}`, {
+        problems,
+      });
+      hadrons.set(key, repairedHadron);
+    } else {
+      log.error(`Leaving out invalid hadron ${key} in ${source}`, {
+        problems,
+        hadron,
+      });
+      hadrons.delete(key);
+    }
+  });
+}
+
+export default repairSavedHadrons;
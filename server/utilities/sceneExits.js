@@ -0,0 +1,98 @@
+import fs from 'fs';
+import logger from './logger.js';
+
+/*
+Where players can walk to from each scene, read from the Teleport layers of its Tiled map.
+
+Each layer in a map's Teleport group has a DestinationScene property,
+which is either a scene name or one of these, which the client works out itself:
+ - Previous: The scene the player came from.
+ - CaveExit: The scene the player entered the cave from.
+ - Local: Somewhere else in the same scene, which is the Entrance object named by the layer's Entrance property.
+ - None: Nowhere.
+
+Maps are only read the first time they are needed.
+ */
+
+const log = logger.forSubsystem('hadrons');
+
+const tileMapFolder = new URL('../../src/assets/tileMaps/', import.meta.url);
+
+// Scene name => { exits, localTargets }, or undefined if the map could not be read.
+const scenes = new Map();
+
+function readTileMap(sceneName) {
+  const tileMap = JSON.parse(
+    fs.readFileSync(new URL(`${sceneName}.json`, tileMapFolder), 'utf8'),
+  );
+  const exits = new Set();
+  const localEntranceNames = new Set();
+  tileMap.layers
+    .filter((layer) => layer.name === 'Teleport')
+    .forEach((group) => {
+      (group.layers || []).forEach((layer) => {
+        const properties = layer.properties || [];
+        const destination = properties.find(
+          (property) => property.name === 'DestinationScene',
+        );
+        if (destination) {
+          exits.add(destination.value);
+        }
+        const entrance = properties.find(
+          (property) => property.name === 'Entrance',
+        );
+        if (destination?.value === 'Local' && entrance) {
+          localEntranceNames.add(entrance.value);
+        }
+      });
+    });
+  // Like getSpawnPointFromMap on the client.
+  const localTargets = [];
+  tileMap.layers
+    .filter((layer) => layer.name === 'Objects')
+    .forEach((layer) => {
+      (layer.objects || []).forEach((object) => {
+        const isEntrance = (object.properties || []).some(
+          (property) =>
+            property.name === 'Type' && property.value === 'Entrance',
+        );
+        if (isEntrance && localEntranceNames.has(object.name)) {
+          localTargets.push({ x: object.x, y: object.y });
+        }
+      });
+    });
+  return { exits, localTargets };
+}
+
+function load(sceneName) {
+  if (!scenes.has(sceneName)) {
+    let scene;
+    try {
+      scene = readTileMap(sceneName);
+    } catch (e) {
+      log.error(`Unable to read the exits of ${sceneName}`, {
+        error: e.message,
+      });
+    }
+    scenes.set(sceneName, scene);
+  }
+  return scenes.get(sceneName);
+}
+
+/**
+ * @param {string} sceneName
+ * @returns {Set<string>|undefined} - Every DestinationScene in the scene's Teleport layers.
+ */
+function get(sceneName) {
+  return load(sceneName)?.exits;
+}
+
+/**
+ * @param {string} sceneName
+ * @returns {Array<{x: number, y: number}>} - Where the scene's Local teleports put players.
+ */
+function localTargets(sceneName) {
+  return load(sceneName)?.localTargets || [];
+}
+
+export default { get, localTargets };
@@ -0,0 +1,1072 @@
+/*
+The list of every scene in the game, read by both the server and the client (src/sceneList.js).
+
+To add a scene:
+1. Put its Tiled map in src/assets/tileMaps, named after the scene.
+2. Add an entry to the scenes list below.
+
+Each scene has:
+ - name: The scene name, which is also the name of its tile map file, without .json
+ - tileSet: A key in tileSets below.
+ - gameSize: A key in gameSizes below.
+ - htmlElementParameters: Which text styles the client uses. See src/sceneList.js
+ - animatedTileOverlayStrategy: Optional. Which animated tiles the client draws. See src/sceneList.js
+ - instanced: Optional. Every player gets their own copy of the scene, instead of it being shared.
+ - loadingScreen: Optional. Shown while the game loads. Players are never sent there.
+
+This file must not import anything, so that it works in the browser and in Node.
+ */
+
+// The name is used by Phaser, and must match the tilesets.name in the Tiled tile map!
+// The images are in src/sceneList.js, because the server doesn't need them.
+const tileSets = {
+  CamelopardalisColor16x16: { name: 'CamelopardalisColor16x16' },
+  dungeonTileset: { name: 'Dungeon_Tileset' },
+  ZoriaOverworld: { name: 'Zoria Overworld' },
+  roguelikeSheetTransparent: { name: 'roguelikeSheet_transparent' },
+};
+
+// Game Sizes
+// In theory the "game" can be a different size than the scene,
+// which is why this exists,
+// but in practice this is not implemented and so far there is no plan to do so.
+// Typically the size is just 2 less than the height and width,
+// accounting for the "hidden" teleport tiles on the outside of every scene.
+// TODO: If we are happy with always viewing the full scene, should this data just come from the tile map itself?
+const gameSizes = {
+  Loading: {
+    width: 16 * 19,
+    height: 16 * 11,
+    teleportLayerSize: 0, // In pixels
+  },
+  CamelopardalisColor16x16: {
+    width: 40 * 16, // In Pixels
+    height: 32 * 11, // Tile pixel count * tile count
+    teleportLayerSize: 16 * 2, // In pixels
+  },
+  cave: {
+    width: 16 * 18,
+    height: 16 * 13,
+    teleportLayerSize: 16, // In pixels
+  },
+  arena: {
+    width: 16 * 40,
+    height: 16 * 22,
+    teleportLayerSize: 16, // In pixels
+  },
+  backYard: {
+    width: 16 * 19,
+    height: 16 * 11,
+    teleportLayerSize: 16, // In pixels
+  },
+};
+
+// The first scene is the one Phaser starts in.
+const scenes = [
+  {
+    name: 'Loading',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'Loading',
+    htmlElementParameters: 'camelopardalis',
+    loadingScreen: true,
+  },
+  {
+    name: 'CamelopardalisH8',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisI8',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisH7',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisG7',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisG8',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisF8',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisH6',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisI7',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisJ8',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisE8',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisF7',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisG6',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisH5',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisI6',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisJ7',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisK8',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisK7',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisL8',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisJ6',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisI4',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisI5',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisH4',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisG5',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisF6',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisE7',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisD8',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisD7',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisL1',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisL2',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisM1',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisM2',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisM3',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisN1',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisN2',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisN3',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisN4',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisO1',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisO2',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisO3',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisO4',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisO5',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisP1',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisP2',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisP3',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisP4',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisP5',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisP6',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisP7',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisO6',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisN5',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisM4',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisL3',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisJ1',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisK1',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisK2',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisE1',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisE2',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisE3',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisF1',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisD1',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisD2',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisD3',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisC1',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisC2',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisC3',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisC4',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisB1',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisB2',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisB3',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisB4',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisB5',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisA1',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisA2',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisA3',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisA4',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisA5',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisA6',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisL4',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisK3',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisJ2',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisI1',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisF2',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisD4',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisC5',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisB6',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisA7',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisM5',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisN6',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisO7',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisP8',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisO8',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisN7',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisM6',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisL5',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisK4',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisJ3',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisI2',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisH1',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisG1',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisG2',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisF3',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisE4',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisD5',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisC6',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisB7',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisA8',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisA9',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisN8',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisM7',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisL6',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisK5',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisJ4',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisH2',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisI3',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisG3',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisF4',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisE5',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisD6',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisC7',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisB8',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisM8',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisL7',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisK6',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisH3',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisJ5',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisG4',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisF5',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisE6',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'CamelopardalisC8',
+    tileSet: 'CamelopardalisColor16x16',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'camelopardalisColor16x16',
+  },
+  {
+    name: 'backYard1',
+    tileSet: 'ZoriaOverworld',
+    gameSize: 'backYard',
+    htmlElementParameters: 'camelopardalis',
+  },
+  {
+    name: 'arena1',
+    tileSet: 'ZoriaOverworld',
+    gameSize: 'arena',
+    htmlElementParameters: 'camelopardalis',
+  },
+  {
+    name: 'EmptyCave',
+    tileSet: 'dungeonTileset',
+    gameSize: 'cave',
+    htmlElementParameters: 'cave',
+  },
+  {
+    name: 'SlimeCave',
+    tileSet: 'dungeonTileset',
+    gameSize: 'cave',
+    htmlElementParameters: 'cave',
+  },
+  {
+    name: 'BlackWaterCave',
+    tileSet: 'dungeonTileset',
+    gameSize: 'cave',
+    htmlElementParameters: 'cave',
+  },
+  {
+    name: 'Library',
+    tileSet: 'roguelikeSheetTransparent',
+    gameSize: 'CamelopardalisColor16x16',
+    htmlElementParameters: 'camelopardalis',
+    animatedTileOverlayStrategy: 'library',
+    instanced: true,
+  },
+];
+
+const scenesByName = new Map(scenes.map((scene) => [scene.name, scene]));
+
+/**
+ * Check that a scene exists.
+ * @param {string} sceneName
+ * @returns {boolean}
+ */
+function has(sceneName) {
+  return scenesByName.has(sceneName);
+}
+
+/**
+ * Get a scene's entry, with its tileSet and gameSize looked up.
+ * @param {string} sceneName
+ * @returns {Object|undefined} - undefined if there is no such scene.
+ */
+function get(sceneName) {
+  const scene = scenesByName.get(sceneName);
+  if (!scene) {
+    return undefined;
+  }
+  return {
+    ...scene,
+    instanced: Boolean(scene.instanced),
+    loadingScreen: Boolean(scene.loadingScreen),
+    tileSet: tileSets[scene.tileSet],
+    gameSize: gameSizes[scene.gameSize],
+  };
+}
+
+/**
+ * Check that players can be put in a scene, such as when it is the default opening scene.
+ * @param {string} sceneName
+ * @returns {boolean}
+ */
+function isPlayable(sceneName) {
+  return has(sceneName) && !scenesByName.get(sceneName).loadingScreen;
+}
+
+/**
+ * Check whether every player gets their own copy of a scene, like the Library.
+ * @param {string} sceneName
+ * @returns {boolean}
+ */
+function isInstanced(sceneName) {
+  return Boolean(scenesByName.get(sceneName)?.instanced);
+}
+
+export default {
+  scenes,
+  tileSets,
+  gameSizes,
+  has,
+  get,
+  isPlayable,
+  isInstanced,
+};
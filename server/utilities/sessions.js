@@ -0,0 +1,135 @@
+import { createHash, randomUUID } from 'crypto';
+
+/*
+Tokens last for weeks, so each one is also a row in the Sessions table,
+keyed by the token's ID (jti), which validateJWT checks on every use.
+Revoking a session makes its token stop working, even though it hasn't expired.
+
+Tokens from before sessions existed have no ID, so they are given one from a hash of the token,
+and become a session the first time they are used, instead of signing everyone out.
+A legacy token that hasn't been used yet has no row to revoke,
+so revoking all of a player's sessions also stops any legacy token signed before then from being adopted.
+
+Revoked sessions are kept until their token expires, so that they can't be adopted again.
+ */
+
+function legacySessionId(token) {
+  return `legacy-${createHash('sha256').update(token).digest('hex').slice(0, 32)}`;
+}
+
+function now() {
+  return Math.floor(new Date().getTime() / 1000);
+}
+
+/**
+ * Start a session for a token that is about to be signed.
+ * Also forgets the player's sessions that have expired.
+ * @param {Object} db
+ * @param {string} userId
+ * @param {string} remoteIp
+ * @param {number} expiresInSeconds - How long the token lasts.
+ * @returns {Promise<string>} - The session ID, to sign into the token as its jwtid.
+ */
+async function create({ db, userId, remoteIp, expiresInSeconds }) {
+  const id = randomUUID();
+  await db.query('DELETE FROM Sessions WHERE userId = ? AND expires < ?', [
+    userId,
+    now(),
+  ]);
+  await db.query(
+    'INSERT INTO Sessions (id, userId, created, expires, lastSeen, lastIp) VALUES (?, ?, ?, ?, ?, ?)',
+    [id, userId, now(), now() + expiresInSeconds, now(), remoteIp],
+  );
+  return id;
+}
+
+/**
+ * Check that a verified token's session is still active, and note that it was used.
+ * @param {Object} db
+ * @param {string} token
+ * @param {Object} decoded - The token's verified contents.
+ * @param {string} remoteIp
+ * @returns {Promise<string|undefined>} - The session ID, or undefined if the session was revoked or never existed.
+ */
+async function check({ db, token, decoded, remoteIp }) {
+  const id = decoded.jti || legacySessionId(token);
+  const result = await db.query(
+    'SELECT revoked FROM Sessions WHERE id = ? AND userId = ?',
+    [id, decoded.id],
+  );
+  if (result.rows.length === 0) {
+    if (decoded.jti) {
+      return undefined;
+    }
+    const user = await db.query(
+      'SELECT tokensValidAfter FROM Users WHERE id = ?',
+      [decoded.id],
+    );
+    if (
+      user.rows.length === 0 ||
+      decoded.iat <= (user.rows[0].tokensValidAfter || 0)
+    ) {
+      return undefined;
+    }
+    await db.query(
+      'INSERT INTO Sessions (id, userId, created, expires, lastSeen, lastIp) VALUES (?, ?, ?, ?, ?, ?)',
+      [id, decoded.id, decoded.iat, decoded.exp, now(), remoteIp],
+    );
+    return id;
+  }
+  if (result.rows[0].revoked) {
+    return undefined;
+  }
+  await db.query('UPDATE Sessions SET lastSeen = ?, lastIp = ? WHERE id = ?', [
+    now(),
+    remoteIp,
+    id,
+  ]);
+  return id;
+}
+
+/**
+ * @param {Object} db
+ * @param {string} userId
+ * @returns {Promise<Array<{id: string, created: number, lastSeen: number, lastIp: string}>>} - Active sessions, most recently used first.
+ */
+async function list({ db, userId }) {
+  const result = await db.query(
+    `SELECT id, created, lastSeen, lastIp FROM Sessions
+     WHERE userId = ? AND revoked = 0 AND expires >= ? ORDER BY lastSeen DESC`,
+    [userId, now()],
+  );
+  return result.rows;
+}
+
+/**
+ * Revoke one of a player's sessions, or all of them except one, or all of them.
+ * @param {Object} db
+ * @param {string} userId
+ * @param {string} [sessionId] - Only revoke this one.
+ * @param {string} [exceptSessionId] - Revoke every other one.
+ * @returns {Promise<Array<string>>} - The IDs of the sessions that were revoked.
+ */
+async function revoke({ db, userId, sessionId, exceptSessionId }) {
+  const active = (await list({ db, userId }))
+    .map((session) => session.id)
+    .filter(
+      (id) =>
+        (sessionId === undefined || id === sessionId) && id !== exceptSessionId,
+    );
+  if (active.length > 0) {
+    await db.query(
+      `UPDATE Sessions SET revoked = 1 WHERE id IN (${active.map(() => '?').join(', ')})`,
+      active,
+    );
+  }
+  if (sessionId === undefined) {
+    await db.query('UPDATE Users SET tokensValidAfter = ? WHERE id = ?', [
+      now(),
+      userId,
+    ]);
+  }
+  return active;
+}
+
+export default { create, check, list, revoke };
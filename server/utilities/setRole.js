@@ -0,0 +1,108 @@
+import permissions from './permissions.js';
+import logger from './logger.js';
+
+const log = logger.forSubsystem('commands');
+
+/**
+ * Give a role to a user, or take it away,
+ * and apply the change right away if they are online.
+ * @param {String} roleName - A role, or one of the old privilege names like op.
+ * @param {boolean} grant - True to give the role, false to take it away.
+ * @param {string} playerName
+ * @param {Object} db
+ * @param {Object} connectedPlayerData
+ * @param {Function} socketEmitToId
+ * @returns {Promise<string>}
+ */
+
+async function setRole({
+  roleName,
+  grant,
+  playerName,
+  db,
+  connectedPlayerData,
+  socketEmitToId,
+}) {
+  let role;
+  let playerIdToChange;
+  let playerAlreadyHasRole;
+  try {
+    role = await permissions.findRole({ db, roleName });
+    if (!role) {
+      return `${roleName} is not a valid role`;
+    }
+    // LIKE allows for case-insensitive name comparison.
+    // Usernames shouldn't be case-sensitive.
+    const result = await db.query('SELECT id FROM Users WHERE name LIKE ?', [
+      playerName,
+    ]);
+    if (result.rows.length > 0) {
+      playerIdToChange = result.rows[0].id;
+      const roles = await permissions.getRoles({
+        db,
+        userId: playerIdToChange,
+      });
+      playerAlreadyHasRole = roles.indexOf(role) > -1;
+    }
+  } catch (e) {
+    log.error('Error retrieving user on socket command', { error: e.message });
+    return `Error retrieving ${playerName} from the database`;
+  }
+  if (!playerIdToChange) {
+    return `Player '${playerName}' does not exist.`;
+  }
+  if (grant && playerAlreadyHasRole) {
+    return `Player '${playerName}' already has the ${role} role.`;
+  }
+  if (!grant && !playerAlreadyHasRole) {
+    return `Player '${playerName}' does not have the ${role} role.`;
+  }
+  let newPermissions;
+  try {
+    if (grant) {
+      await db.query('INSERT INTO UserRoles (userId, role) VALUES (?, ?)', [
+        playerIdToChange,
+        role,
+      ]);
+    } else {
+      await db.query('DELETE FROM UserRoles WHERE userId = ? AND role = ?', [
+        playerIdToChange,
+        role,
+      ]);
+    }
+    newPermissions = await permissions.getPermissions({
+      db,
+      userId: playerIdToChange,
+    });
+  } catch (e) {
+    log.error('Error updating user', { error: e.message });
+    return `Error updating '${playerName}' database entry.`;
+  }
+
+  // Tokens don't carry permissions,
+  // so an online player just needs their connectedPlayerData and client updated.
+  const connectedPlayer = connectedPlayerData.get(playerIdToChange);
+  if (connectedPlayer) {
+    connectedPlayer.permissions = newPermissions;
+    socketEmitToId({
+      emitToId: connectedPlayer.socketId,
+      socketEvent: 'permissions',
+      data: newPermissions,
+    });
+    socketEmitToId({
+      emitToId: connectedPlayer.socketId,
+      socketEvent: 'txt',
+      data: {
+        typ: 'chat',
+        content: grant
+          ? `You have been given the ${role} role!`
+          : `Your ${role} role has been taken away.`,
+      },
+    });
+  }
+  return grant
+    ? `Player '${playerName}' has been given the ${role} role.`
+    : `Player '${playerName}' no longer has the ${role} role.`;
+}
+
+export default setRole;
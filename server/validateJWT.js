@@ -1,4 +1,10 @@
 import jwt from 'jsonwebtoken';
+import moderation from './utilities/moderation.js';
+import permissions from './utilities/permissions.js';
+import logger from './utilities/logger.js';
+import sessions from './utilities/sessions.js';
+
+const log = logger.forSubsystem('auth');
 
 async function validateJWT({ token, secret, db, remoteIp, logIt = true }) {
   return new Promise((resolve, reject) => {
@@ -10,10 +16,41 @@ async function validateJWT({ token, secret, db, remoteIp, logIt = true }) {
         try {
           // LIKE allows for case insensitive name comparison.
           // User names shouldn't be case sensitive.
-          const sql = 'SELECT id FROM Users WHERE name LIKE ?';
+          const sql = 'SELECT id, guest FROM Users WHERE name LIKE ?';
           const result = await db.query(sql, [decoded.name]);
           if (result.rows.length > 0 && result.rows[0].id === decoded.id) {
-            console.log(
+            // A valid token is not enough if the user has been banned since it was issued.
+            const ban = await moderation.getActive({
+              db,
+              userId: decoded.id,
+              kind: 'ban',
+            });
+            if (ban) {
+              log.warn(
+                `${decoded.name} is banned ${moderation.describe(
+                  ban,
+                )}, and was turned away from ${remoteIp}`,
+              );
+              const error = new Error(`${decoded.name} is banned.`);
+              error.ban = ban;
+              reject(error);
+              return;
+            }
+            // Nor is it enough if they have signed out of it, or been signed out of it.
+            const sessionId = await sessions.check({
+              db,
+              token,
+              decoded,
+              remoteIp,
+            });
+            if (!sessionId) {
+              log.warn(
+                `${decoded.name} used a token from a revoked session from ${remoteIp}`,
+              );
+              reject(new Error(`${decoded.name}'s session was revoked.`));
+              return;
+            }
+            log.info(
               `${decoded.name} authenticated a valid token from ${remoteIp}`,
             );
             if (logIt) {
@@ -29,16 +66,27 @@ async function validateJWT({ token, secret, db, remoteIp, logIt = true }) {
                 [timeStamp, decoded.id],
               );
             }
-            resolve(decoded);
+            // Permissions can change after a token is issued,
+            // so they are never put in the token, and are always looked up.
+            resolve({
+              ...decoded,
+              sessionId,
+              guest: result.rows[0].guest,
+              permissions: await permissions.getPermissions({
+                db,
+                userId: decoded.id,
+              }),
+            });
           } else {
-            console.log(
+            log.warn(
               `${decoded.name} has a valid token, but is not in the database, or their UUID changed.`,
             );
             reject();
           }
         } catch (e) {
-          console.error('Error retrieving user during token validation:');
-          console.error(e.message);
+          log.error('Error retrieving user during token validation', {
+            error: e.message,
+          });
           reject(e);
         }
       }
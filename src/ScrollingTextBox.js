@@ -48,8 +48,18 @@ class ScrollingTextBox {
       // Add a line break if there is existing text.
       textObject.incomingChatText.text = `${textObject.incomingChatText.text}<br/>`;
     }
-    const sender = inputData.name ? `${inputData.name}: ` : '';
-    textObject.incomingChatText.text = `${textObject.incomingChatText.text}${sender}${inputData.content}`;
+    let line;
+    if (inputData.whisper) {
+      // Whispers are private, so they stand out from the rest of the chat.
+      const direction = inputData.whisper === 'to' ? 'to' : 'from';
+      line = `<span style="color: purple;">[whisper ${direction} ${inputData.name}] ${inputData.content}</span>`;
+    } else {
+      // Server messages have no channel, so are not labelled.
+      const channel = inputData.channel ? `[${inputData.channel}] ` : '';
+      const sender = inputData.name ? `${inputData.name}: ` : '';
+      line = `${channel}${sender}${inputData.content}`;
+    }
+    textObject.incomingChatText.text = `${textObject.incomingChatText.text}${line}`;
     textObject.incomingChatText.shouldBeActiveNow = true;
     textObject.incomingChatText.text = `${textObject.incomingChatText.text}${closeText}`;
   }
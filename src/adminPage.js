@@ -0,0 +1,225 @@
+/* globals localStorage:true */
+/* globals document:true */
+/* globals window:true */
+
+// admin.html charts /api/connections for players with the viewConnections permission.
+// It uses the token saved by the sign-in page, so sign in there first.
+
+let apiURL = `${window.location.origin}/api`;
+if (window.location.port === '3001') {
+  apiURL = `http://${window.location.hostname}:8080/api`;
+}
+
+const pageSize = 50;
+let range = {};
+let offset = 0;
+
+const svgNamespace = 'http://www.w3.org/2000/svg';
+
+const domElements = {
+  status: document.getElementById('admin_status'),
+  content: document.getElementById('admin_content'),
+  rangeForm: document.getElementById('admin_range_form'),
+  from: document.getElementById('admin_from'),
+  to: document.getElementById('admin_to'),
+  connections: document.getElementById('admin_connections'),
+  newer: document.getElementById('admin_newer'),
+  older: document.getElementById('admin_older'),
+  pageInfo: document.getElementById('admin_page_info'),
+};
+
+async function getFromApi(path, query) {
+  const res = await fetch(`${apiURL}/${path}?${new URLSearchParams(query)}`, {
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem('authToken')}`,
+    },
+  });
+  if (res.status === 401) {
+    throw new Error(
+      'You need to be signed in as a player with the viewConnections permission to see this page.',
+    );
+  }
+  const result = await res.json();
+  if (result.error) {
+    throw new Error(result.error);
+  }
+  return result;
+}
+
+function svgElement(name, attributes) {
+  const element = document.createElementNS(svgNamespace, name);
+  Object.entries(attributes).forEach(([key, value]) => {
+    element.setAttribute(key, value);
+  });
+  return element;
+}
+
+// Draw one bar per day, with each series stacked on the one before it.
+function barChart({ elementId, days, series, describe }) {
+  const element = document.getElementById(elementId);
+  element.innerHTML = '';
+  if (days.length === 0) {
+    element.textContent = 'Nobody connected in this time.';
+    return;
+  }
+  const width = 900;
+  const height = 200;
+  const labelHeight = 20;
+  const max = Math.max(
+    1,
+    ...days.map((day) => series.reduce((sum, { key }) => sum + day[key], 0)),
+  );
+  const barWidth = width / days.length;
+  const svg = svgElement('svg', {
+    viewBox: `0 0 ${width} ${height + labelHeight}`,
+    preserveAspectRatio: 'none',
+  });
+  days.forEach((day, index) => {
+    let top = height;
+    series.forEach(({ key, color }) => {
+      const barHeight = (day[key] / max) * height;
+      top -= barHeight;
+      const bar = svgElement('rect', {
+        x: index * barWidth + 1,
+        y: top,
+        width: Math.max(barWidth - 2, 1),
+        height: barHeight,
+        fill: color,
+      });
+      const title = svgElement('title', {});
+      title.textContent = `${day.day}: ${describe(day)}`;
+      bar.appendChild(title);
+      svg.appendChild(bar);
+    });
+  });
+  // Label the first and last days, and the top of the scale.
+  [
+    { text: days[0].day, x: 0, anchor: 'start' },
+    { text: days[days.length - 1].day, x: width, anchor: 'end' },
+  ].forEach(({ text, x, anchor }) => {
+    const label = svgElement('text', {
+      x,
+      y: height + labelHeight - 4,
+      'text-anchor': anchor,
+      'font-size': 14,
+    });
+    label.textContent = text;
+    svg.appendChild(label);
+  });
+  const scale = svgElement('text', { x: 0, y: 14, 'font-size': 14 });
+  scale.textContent = String(max);
+  svg.appendChild(scale);
+  element.appendChild(svg);
+}
+
+async function showCharts() {
+  const [dailyActiveUsers, peakConcurrency, newSignups, guestRatio] =
+    await Promise.all(
+      [
+        'daily-active-users',
+        'peak-concurrency',
+        'new-signups',
+        'guest-ratio',
+      ].map((report) => getFromApi(`connections/${report}`, range)),
+    );
+  barChart({
+    elementId: 'chart_daily_active_users',
+    days: dailyActiveUsers.days,
+    series: [{ key: 'users', color: 'steelblue' }],
+    describe: (day) => `${day.users} players`,
+  });
+  barChart({
+    elementId: 'chart_peak_concurrency',
+    days: peakConcurrency.days,
+    series: [{ key: 'peak', color: 'darkorange' }],
+    describe: (day) => `about ${day.peak} at once`,
+  });
+  barChart({
+    elementId: 'chart_new_signups',
+    days: newSignups.days,
+    series: [
+      { key: 'registered', color: 'seagreen' },
+      { key: 'guests', color: 'silver' },
+    ],
+    describe: (day) => `${day.registered} registered, ${day.guests} guests`,
+  });
+  barChart({
+    elementId: 'chart_guest_ratio',
+    days: guestRatio.days,
+    series: [
+      { key: 'registered', color: 'seagreen' },
+      { key: 'guests', color: 'silver' },
+    ],
+    describe: (day) =>
+      `${Math.round(day.guestRatio * 100)}% guests (${day.guests} of ${
+        day.guests + day.registered
+      })`,
+  });
+}
+
+async function showConnections() {
+  const result = await getFromApi('connections', {
+    ...range,
+    limit: pageSize,
+    offset,
+  });
+  domElements.connections.innerHTML = '';
+  result.connections.forEach((connection) => {
+    const row = document.createElement('tr');
+    [
+      connection.name,
+      connection.guest ? 'Yes' : 'No',
+      new Date(connection.timestamp * 1000).toLocaleString(),
+    ].forEach((text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    domElements.connections.appendChild(row);
+  });
+  domElements.pageInfo.textContent = `${Math.min(offset + 1, result.total)} to ${
+    offset + result.connections.length
+  } of ${result.total}`;
+  domElements.newer.disabled = offset === 0;
+  domElements.older.disabled = offset + pageSize >= result.total;
+}
+
+async function update() {
+  try {
+    await Promise.all([showCharts(), showConnections()]);
+    domElements.status.textContent = '';
+    domElements.content.hidden = false;
+  } catch (e) {
+    domElements.status.textContent = e.message;
+  }
+}
+
+domElements.rangeForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  range = {};
+  if (domElements.from.value) {
+    range.from = domElements.from.value;
+  }
+  // Include all of the last day.
+  if (domElements.to.value) {
+    range.to = `${domElements.to.value}T23:59:59Z`;
+  }
+  offset = 0;
+  update();
+});
+
+domElements.newer.addEventListener('click', () => {
+  offset = Math.max(0, offset - pageSize);
+  showConnections().catch((e) => {
+    domElements.status.textContent = e.message;
+  });
+});
+
+domElements.older.addEventListener('click', () => {
+  offset += pageSize;
+  showConnections().catch((e) => {
+    domElements.status.textContent = e.message;
+  });
+});
+
+update();
@@ -1,12 +1,13 @@
 import playerObject from '../objects/playerObject.js';
 import { throttledSpellCaster } from '../castSpell.js';
 import returnToIntroScreen from './returnToIntroScreen.js';
+import hasPermission from '../utilities/hasPermission.js';
 
 function collectKeyboardInput(sceneName) {
   // Teleport back to home scene
   if (playerObject.keyState.h === 'keydown') {
     playerObject.keyState.h = null;
-    if (playerObject.isAdmin) {
+    if (hasPermission('teleport')) {
       playerObject.teleportToSceneNow = playerObject.defaultOpeningScene;
       playerObject.teleportToSceneNowEntrance = null;
     }
@@ -37,7 +38,7 @@ function collectKeyboardInput(sceneName) {
   // Key to turn dot trails on/off
   if (playerObject.keyState.o === 'keydown') {
     playerObject.keyState.o = null;
-    if (playerObject.isAdmin) {
+    if (hasPermission('debug')) {
       playerObject.dotTrailsOn = !playerObject.dotTrailsOn;
     }
   }
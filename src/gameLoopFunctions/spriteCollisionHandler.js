@@ -140,19 +140,14 @@ function spriteCollisionHandler({
             hadrons.get(spriteKey)?.own !== hadrons.get(obstacleSpriteKey)?.own
           ) {
             // If a damage spell hits a player that is not the owner:
-            const dps = hadrons.get(spriteKey)?.dps;
-            // 1. De-spawn the spell.
+            // 1. Apply damage to the player.
+            // The server works out the amount from the spell, so it must still exist when the damage arrives.
+            sendDataToServer.damageHadron({
+              id: obstacleSpriteKey,
+              src: spriteKey,
+            });
+            // 2. De-spawn the spell.
             sendDataToServer.destroyHadron(spriteKey);
-            // 2. Apply damage to the player.
-            let amount = 1;
-            if (
-              dps &&
-              // eslint-disable-next-line no-restricted-globals
-              !isNaN(dps)
-            ) {
-              amount *= dps;
-            }
-            sendDataToServer.damageHadron({ id: obstacleSpriteKey, amount });
           }
           // A player's spells hitting themselves is entirely ignored.
         } else if (
@@ -164,25 +159,23 @@ function spriteCollisionHandler({
           ) {
             if (hadrons.get(obstacleSpriteKey)?.flv === 'NPC') {
               // If a spell hits an NPC...
-              // Destroy the spell hadron
-              sendDataToServer.destroyHadron(spriteKey);
               // Render damage to the NPC
               sendDataToServer.damageHadron({
                 id: obstacleSpriteKey,
-                // TODO: Amount should probably be stored in the sprite data and gotten from the spell?
-                amount: 1,
+                src: spriteKey,
               });
-            } else if (hadrons.get(obstacleSpriteKey)?.flv === 'Item') {
               // Destroy the spell hadron
               sendDataToServer.destroyHadron(spriteKey);
+            } else if (hadrons.get(obstacleSpriteKey)?.flv === 'Item') {
               // Render damage to the Item if it has health (not all do)
               if (hadrons.get(obstacleSpriteKey)?.hlt) {
                 sendDataToServer.damageHadron({
                   id: obstacleSpriteKey,
-                  // TODO: Amount should probably be stored in the sprite data and gotten from the spell?
-                  amount: 1,
+                  src: spriteKey,
                 });
               }
+              // Destroy the spell hadron
+              sendDataToServer.destroyHadron(spriteKey);
             }
             // Spells hitting Non-NPC Quarks are ignored
           } else if (hadrons.get(obstacleSpriteKey)?.flv === 'Item') {
@@ -204,9 +197,11 @@ function spriteCollisionHandler({
           hadrons.get(spriteKey)?.dpc
         ) {
           // If an NPC or Item is set to damage players on contact, do so.
-          const amount = hadrons.get(spriteKey)?.dpc;
-          // console.log(amount / 100);
-          sendDataToServer.damageHadron({ id: obstacleSpriteKey, amount });
+          // The server uses the NPC's dpc as the amount.
+          sendDataToServer.damageHadron({
+            id: obstacleSpriteKey,
+            src: spriteKey,
+          });
         } else {
           // Anything else just passes through
           // console.log(
@@ -5,6 +5,7 @@ import hadrons from '../objects/hadrons.js';
 import sendDataToServer from '../sendDataToServer.js';
 import objectDepthSettings from '../objects/objectDepthSettings.js';
 import calculateVelocityFromRotation from '../utilities/calculateVelocityFromRotation.js';
+import hasPermission from '../utilities/hasPermission.js';
 
 function updateSprite(hadron, key, gameSizeData) {
   if (clientSprites.has(key)) {
@@ -217,7 +218,7 @@ function updateSprite(hadron, key, gameSizeData) {
     if (
       hadron.id === playerObject.playerId &&
       playerObject.infiniteHealth &&
-      playerObject.isAdmin
+      hasPermission('debug')
     ) {
       // Do this here so that we still get the red tint hit.
       playerObject.health = playerObject.maxHealth;
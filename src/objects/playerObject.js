@@ -9,9 +9,7 @@
  */
 const playerObject = {
   name: null,
-  isAdmin: false,
-  canChat: false,
-  canMessage: false,
+  permissions: [], // Sent by the server. Use hasPermission() to check these.
   logLatency: false,
   initialPositionReceived: false,
   teleportInProgress: false,
@@ -139,6 +137,7 @@ const playerObject = {
   defaultTextOptions: { font: 'atariSunset', fontSize: 16, origin: 0.5 },
   testNow: null,
   gameStats: { namedPlayerCount: 0, guestCount: 0, finishedCount: 0 },
+  unreadMail: 0, // From the server when we join, to tell the player they have mail.
 };
 
 export default playerObject;
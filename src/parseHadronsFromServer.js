@@ -2,24 +2,78 @@ import playerObject from './objects/playerObject.js';
 import hadrons from './objects/hadrons.js';
 import deletedHadronList from './objects/deletedHadronList.js';
 import validateHadron from '../server/utilities/validateHadron.js';
+import hadronDelta from '../server/utilities/hadronDelta.js';
 import textObject from './objects/textObject.js';
 import sendDataToServer from './sendDataToServer.js';
 
-function parseHadronsFromServer(serverHadrons) {
-  // First clean out all hadrons (game pieces) that we are not in control of,
-  // from our own list, so that old ones disappear,
-  // and new data for these hadrons takes precedence over our data.
-  hadrons.forEach((clientHadron, key) => {
-    if (clientHadron.ctr !== playerObject.playerId) {
+// The server sends a full snapshot of our scene when we enter it,
+// and only deltas after that.
+// This is our copy of the hadrons as the server sees them,
+// which the deltas are applied to.
+const serverHadrons = new Map();
+const hadronStream = {
+  scene: null,
+  seq: null,
+  awaitingSnapshot: true,
+};
+
+function requestResync() {
+  if (!hadronStream.awaitingSnapshot) {
+    hadronStream.awaitingSnapshot = true;
+    sendDataToServer.resync();
+  }
+}
+
+function parseHadronsFromServer(delta) {
+  if (delta.ful) {
+    hadronStream.scene = delta.scn;
+    hadronStream.seq = delta.seq;
+    hadronStream.awaitingSnapshot = false;
+    // First clean out all hadrons (game pieces) that we are not in control of,
+    // from our own list, so that old ones disappear,
+    // and new data for these hadrons takes precedence over our data.
+    hadrons.forEach((clientHadron, key) => {
+      if (clientHadron.ctr !== playerObject.playerId) {
+        hadrons.delete(key);
+      }
+    });
+  } else if (
+    hadronStream.awaitingSnapshot ||
+    delta.scn !== hadronStream.scene
+  ) {
+    // Either we are waiting for a resync,
+    // or this is a straggler from the scene that we just left.
+    return;
+  } else if (delta.seq !== hadronStream.seq + 1) {
+    // We missed something, so nothing after this can be trusted until we start over.
+    requestResync();
+    return;
+  } else {
+    // We cannot apply changed fields to a hadron that we never heard about.
+    for (const key of delta.upd?.keys() || []) {
+      if (!serverHadrons.has(key)) {
+        requestResync();
+        return;
+      }
+    }
+    hadronStream.seq = delta.seq;
+  }
+
+  const touchedKeys = hadronDelta.apply(serverHadrons, delta);
+
+  // Hadrons that left the scene are gone, unless we control them.
+  delta.del?.forEach((key) => {
+    if (hadrons.get(key)?.ctr !== playerObject.playerId) {
       hadrons.delete(key);
     }
   });
 
   // Then add all hadrons that we do not control from the server list to our list.
-  serverHadrons.forEach((serverHadron, key) => {
+  touchedKeys.forEach((key) => {
+    const serverHadron = serverHadrons.get(key);
     if (validateHadron.server(serverHadron)) {
       if (serverHadron.ctr !== playerObject.playerId) {
-        hadrons.set(key, serverHadron);
+        hadrons.set(key, { ...serverHadron });
       }
 
       // Ignore hadrons that we control,
@@ -33,7 +87,7 @@ function parseHadronsFromServer(serverHadrons) {
         // before the server has a chance to delete it.
         deletedHadronList.indexOf(key) === -1
       ) {
-        hadrons.set(key, serverHadron);
+        hadrons.set(key, { ...serverHadron });
       }
       if (deletedHadronList.indexOf(key) > -1) {
         // Send stragglers through the loop again until they go away.
@@ -49,7 +103,7 @@ function parseHadronsFromServer(serverHadrons) {
   // and we want to track it as our shadow.
   const playerHadron = serverHadrons.get(playerObject.playerId);
   if (playerHadron) {
-    hadrons.set(playerObject.playerId, playerHadron);
+    hadrons.set(playerObject.playerId, { ...playerHadron });
     if (!playerObject.initialPositionReceived) {
       // Grab initial position for player from server,
       // along with other data we might not know yet.
@@ -7,6 +7,7 @@ import debugLog from './utilities/debugLog.js';
 import deletedHadronList from './objects/deletedHadronList.js';
 import hadrons from './objects/hadrons.js';
 import textObject from './objects/textObject.js';
+import hasPermission from './utilities/hasPermission.js';
 
 if (!Array.isArray(JSON.parse(localStorage.getItem('commandHistory')))) {
   localStorage.setItem('commandHistory', JSON.stringify([]));
@@ -42,19 +43,19 @@ function processCommandInput(event) {
       const command = inputText.join('');
       const inputTextSpaceDelimitedArray = command.split(' ');
       if (
-        playerObject.isAdmin &&
+        hasPermission('debug') &&
         inputTextSpaceDelimitedArray[0].toLowerCase() === 'dumpplayerobject'
       ) {
         console.log(playerObject);
         addEntryToCommandHistory(command);
       } else if (
-        playerObject.isAdmin &&
+        hasPermission('debug') &&
         inputTextSpaceDelimitedArray[0].toLowerCase() === 'dumpclientsprites'
       ) {
         console.log(clientSprites);
         addEntryToCommandHistory(command);
       } else if (
-        playerObject.isAdmin &&
+        hasPermission('debug') &&
         inputTextSpaceDelimitedArray[0].toLowerCase() ===
           'dumpdeletedhadronlist'
       ) {
@@ -66,21 +67,13 @@ function processCommandInput(event) {
         textObject.coordinates.shouldBeActiveNow =
           !textObject.coordinates.shouldBeActiveNow;
       } else if (
-        playerObject.isAdmin &&
+        hasPermission('debug') &&
         inputTextSpaceDelimitedArray[0].toLowerCase() === 'dumphadrons'
       ) {
         console.log(hadrons);
         addEntryToCommandHistory(command);
-      } else if (inputTextSpaceDelimitedArray[0].toLowerCase() === 'whisper') {
-        if (playerObject.canChat) {
-          // Sends chat to specific user
-          inputTextSpaceDelimitedArray.shift();
-          const targetPlayerId = Number(inputTextSpaceDelimitedArray.shift());
-          const text = inputTextSpaceDelimitedArray.join(' ');
-          sendDataToServer.txt({ text, targetPlayerId });
-        }
       } else if (
-        playerObject.isAdmin &&
+        hasPermission('teleport') &&
         (inputTextSpaceDelimitedArray[0].toLowerCase() === 'teleporttoscene' ||
           inputTextSpaceDelimitedArray[0].toLowerCase() === 'tp')
       ) {
@@ -95,7 +88,7 @@ function processCommandInput(event) {
         addEntryToCommandHistory(command);
       }
     } else {
-      if (playerObject.canChat && playerObject.chatInputTextArray.length > 0) {
+      if (hasPermission('chat') && playerObject.chatInputTextArray.length > 0) {
         sendDataToServer.txt({
           text: playerObject.chatInputTextArray.join(''),
         });
@@ -13,6 +13,37 @@ import clientVersion from '../server/utilities/version.js';
 import mapUtils from '../server/utilities/mapUtils.js';
 import textObject from './objects/textObject.js';
 import populateSpellSettings from './utilities/populateSpellSettings.js';
+import spellAssignments from './objects/spellAssignments.js';
+import hasPermission from './utilities/hasPermission.js';
+
+// The writeMessage spell is only available to players who can drop messages.
+function applyPermissions(permissions) {
+  playerObject.permissions = permissions;
+  const hasWriteMessage =
+    playerObject.spellOptions.indexOf('writeMessage') > -1;
+  if (hasPermission('dropMessage') && !hasWriteMessage) {
+    playerObject.spellOptions.push('writeMessage');
+    playerObject.spellKeys.push(String(playerObject.spellKeys.length + 1));
+  } else if (!hasPermission('dropMessage') && hasWriteMessage) {
+    playerObject.spellOptions.splice(
+      playerObject.spellOptions.indexOf('writeMessage'),
+      1,
+    );
+    spellAssignments.delete(playerObject.spellKeys.pop());
+    spellAssignments.forEach((spell, key) => {
+      if (spell === 'writeMessage') {
+        spellAssignments.delete(key);
+      }
+    });
+    if (playerObject.activeSpell === 'writeMessage') {
+      playerObject.activeSpell = playerObject.spellOptions[0];
+    }
+  }
+  populateSpellSettings();
+  if (!hasPermission('debug')) {
+    playerObject.infiniteHealth = false;
+  }
+}
 
 function receiveDataFromServer() {
   if (communicationsObject.socket && communicationsObject.socket.close) {
@@ -124,22 +155,18 @@ function receiveDataFromServer() {
     playerObject.playerId = inputData.id;
     // console.log('Player ID:', playerObject.playerId); // For debugging
     playerObject.name = inputData.name;
-    playerObject.isAdmin = inputData.admin;
-    playerObject.canChat = inputData.canChat;
-    playerObject.canMessage = inputData.canMessage;
-    if (playerObject.canMessage) {
-      playerObject.spellOptions.push('writeMessage');
-      playerObject.spellKeys.push(String(playerObject.spellKeys.length + 1));
-      populateSpellSettings();
-    }
-    if (!inputData.admin) {
-      playerObject.infiniteHealth = false;
-    }
+    applyPermissions(inputData.permissions);
     playerObject.defaultOpeningScene = inputData.defaultOpeningScene;
     playerObject.gameStats = inputData.gameStats;
+    playerObject.unreadMail = inputData.unreadMail;
     localStorage.setItem('playerName', playerObject.name);
   });
 
+  // Roles can be given or taken away while we are playing.
+  communicationsObject.socket.on('permissions', (inputData) => {
+    applyPermissions(inputData);
+  });
+
   communicationsObject.socket.on('importantItems', (inputData) => {
     playerObject.importantItems = inputData;
     playerObject.importantItemsUpdated = true;
@@ -169,6 +196,28 @@ function receiveDataFromServer() {
     returnToIntroScreen();
   });
 
+  // Handle being removed by an admin.
+  // The intro screen shows the reason.
+  communicationsObject.socket.on('kicked', (data) => {
+    // The server disconnects us next, which would otherwise reload the game instead.
+    communicationsObject.socket.off('disconnect');
+    localStorage.setItem(
+      'moderationNotice',
+      JSON.stringify({ kind: 'kick', ...data }),
+    );
+    returnToIntroScreen();
+  });
+
+  communicationsObject.socket.on('banned', (data) => {
+    communicationsObject.socket.off('disconnect');
+    localStorage.removeItem('authToken');
+    localStorage.setItem(
+      'moderationNotice',
+      JSON.stringify({ kind: 'ban', ...data }),
+    );
+    returnToIntroScreen();
+  });
+
   // Handle disconnect
   communicationsObject.socket.on('disconnect', () => {
     localStorage.setItem(
@@ -178,31 +227,41 @@ function receiveDataFromServer() {
     window.location.reload();
   });
 
-  communicationsObject.socket.on('damageHadron', (data) => {
+  // The server puts us back where we were if we move further or faster than it thinks we can,
+  // or change scenes without using an exit.
+  communicationsObject.socket.on('correctPosition', (data) => {
+    if (
+      playerObject.player?.body &&
+      data.scn === playerObject.player.scene?.scene?.key
+    ) {
+      playerObject.player.body.reset(data.x, data.y);
+    } else if (playerObject.player) {
+      // The server refused a scene change, so go back to where it last saw us.
+      playerObject.previousScene = { name: data.scn, x: data.x, y: data.y };
+      playerObject.teleportToSceneNow = data.scn;
+      playerObject.teleportToSceneNowEntrance = 'PreviousPosition';
+    }
+  });
+
+  // The server refuses hadrons with values it doesn't expect, and says why.
+  // This is almost always a bug in the client, so it is only shown in the console.
+  communicationsObject.socket.on('hadronRejected', (data) => {
+    data.problems.forEach(({ key, problem }) => {
+      console.error(`Server rejected hadron ${data.id}: ${key} ${problem}`);
+    });
+  });
+
+  // Health for players and NPCs is owned by the server,
+  // which tells whoever controls the damaged hadron what its health is now.
+  communicationsObject.socket.on('updateHealth', (data) => {
     if (data.id === playerObject.playerId) {
       // Player's own health isn't held in their hadron.
-      let newHealth = playerObject.health;
-      if (!newHealth === undefined) {
-        newHealth = playerObject.maxHealth;
-      }
-      newHealth -= data.amount;
-      if (newHealth < 0) {
-        newHealth = 0;
-      }
-      playerObject.health = newHealth;
+      playerObject.health = data.hlt;
     } else if (
       hadrons.has(data.id) &&
       hadrons.get(data.id)?.ctr === playerObject.playerId
     ) {
-      let newHealth = hadrons.get(data.id)?.hlt;
-      if (newHealth === undefined) {
-        newHealth = hadrons.get(data.id)?.mxh ? hadrons.get(data.id)?.mxh : 100;
-      }
-      newHealth -= data.amount;
-      if (newHealth < 0) {
-        newHealth = 0;
-      }
-      hadrons.get(data.id).hlt = newHealth;
+      hadrons.get(data.id).hlt = data.hlt;
     }
   });
 
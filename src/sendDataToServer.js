@@ -144,6 +144,15 @@ sendDataToServer.hadronData = (hadronData, key) => {
   }
 };
 
+// Ask the server to start our hadron stream over with a full snapshot,
+// because we missed a delta.
+sendDataToServer.resync = () => {
+  if (communicationsObject.socket.connected) {
+    communicationsObject.socket.emit('resync');
+    debugLog('Requested hadron resync from server.');
+  }
+};
+
 sendDataToServer.createHadron = (data) => {
   communicationsObject.socket.emit('createHadron', data);
 };
@@ -6,6 +6,7 @@ import spellAssignments from '../objects/spellAssignments.js';
 import isAppleDevice from '../utilities/isAppleDevice.js';
 import isMobileBrowser from '../utilities/isMobileBrowser.js';
 import populateSpellSettings from '../utilities/populateSpellSettings.js';
+import hasPermission from '../utilities/hasPermission.js';
 
 let apiURL = `${window.location.origin}/api`;
 if (window.location.port === '3001') {
@@ -13,9 +14,6 @@ if (window.location.port === '3001') {
 }
 
 let playerName = '';
-let isAdmin = false;
-let canChat = false;
-let canMessage = false;
 let isGuest = false;
 let loginFailure = false;
 let loginErrorText = null;
@@ -23,6 +21,8 @@ let loggedIn = false;
 let loginInProgress = false;
 let creatingNewAccount = false;
 let sendingAccountCreation = false;
+let resettingPassword = false;
+let sendingPasswordReset = false;
 let changingPlayerName = false;
 let changingPassword = false;
 let deletingAccount = false;
@@ -40,6 +40,14 @@ const domElements = {
     'cancel_create_account_button',
   ),
   createAccountButton: document.getElementById('create_account_button'),
+  resetCodeInputBox: document.getElementById('reset_code_input_box'),
+  resetPasswordWithCodeButton: document.getElementById(
+    'reset_password_with_code_button',
+  ),
+  resetPasswordButton: document.getElementById('reset_password_button'),
+  cancelResetPasswordButton: document.getElementById(
+    'cancel_reset_password_button',
+  ),
   playAsGuestButton: document.getElementById('guest_button'),
   changePlayerNameButton: document.getElementById('change_player_name_button'),
   updatePlayerNameButton: document.getElementById('update_player_name_button'),
@@ -49,11 +57,31 @@ const domElements = {
   updatePasswordButton: document.getElementById('update_password_button'),
   deleteAccountButton: document.getElementById('delete_account_button'),
   verifyDeleteAccountButton: document.getElementById('verify_delete_button'),
+  exportAccountButton: document.getElementById('export_account_button'),
+  logoutOtherSessionsButton: document.getElementById(
+    'logout_other_sessions_button',
+  ),
   cancelChangePlayerNameButton: document.getElementById('cancel_player_name'),
   cancelChangePasswordButton: document.getElementById('cancel_password'),
   cancelDeleteButton: document.getElementById('cancel_delete'),
 };
 
+// Turn a kick or ban from the server into something to show the player.
+function moderationNoticeText({ kind, reason, expires }) {
+  let text;
+  if (kind === 'kick') {
+    text = 'You were kicked out of the game by an admin.';
+  } else if (expires) {
+    text = `You are banned until ${new Date(expires * 1000).toLocaleString()}.`;
+  } else {
+    text = 'You are permanently banned.';
+  }
+  if (reason) {
+    text += ` Reason: ${reason}`;
+  }
+  return text;
+}
+
 function updateDOMElements() {
   document.getElementById('start-game-section').hidden = !loggedIn;
   document.getElementById('login-section').hidden = loggedIn;
@@ -62,8 +90,14 @@ function updateDOMElements() {
   document.getElementById('player_name_text').innerText = playerName;
 
   document.getElementById('login_buttons').hidden =
-    creatingNewAccount || loginInProgress;
-  document.getElementById('repeat_password_input').hidden = !creatingNewAccount;
+    creatingNewAccount || resettingPassword || loginInProgress;
+  document.getElementById('repeat_password_input').hidden =
+    !creatingNewAccount && !resettingPassword;
+  document.getElementById('reset_code_input').hidden = !resettingPassword;
+  document.getElementById('reset_password_buttons').hidden =
+    !resettingPassword || sendingPasswordReset;
+  document.getElementById('reset_password_in_progress').hidden =
+    !sendingPasswordReset;
   document.getElementById('create_account_buttons').hidden =
     !creatingNewAccount;
   document.getElementById('account_creation_in_progress').hidden =
@@ -81,15 +115,16 @@ function updateDOMElements() {
 
   document.getElementById('guest_account_buttons').hidden =
     !isGuest || changingPassword;
+  document.getElementById('export_account_buttons').hidden =
+    changingPlayerName || changingPassword || deletingAccount;
+  document.getElementById('sessions_section').hidden =
+    changingPlayerName || changingPassword || deletingAccount;
 
   document.getElementById('account_error').hidden = !accountErrorText;
   document.getElementById('account_error').innerText = accountErrorText;
 
-  for (const el of document.querySelectorAll('.admin_only_visible'))
-    el.style.display = isAdmin ? 'block' : 'none';
-
-  for (const el of document.querySelectorAll('.admin_can_chat_visible'))
-    el.style.display = canChat ? 'block' : 'none';
+  for (const el of document.querySelectorAll('[data-permission]'))
+    el.style.display = hasPermission(el.dataset.permission) ? 'block' : 'none';
 
   if (playerName) {
     document.getElementById('password_input_box').focus();
@@ -124,6 +159,15 @@ function updateDOMElements() {
     document.getElementById('multiple_logins').hidden = false;
   }
 
+  if (localStorage.getItem('moderationNotice')) {
+    document.getElementById('moderation_notice_text').innerText =
+      moderationNoticeText(
+        JSON.parse(localStorage.getItem('moderationNotice')),
+      );
+    localStorage.removeItem('moderationNotice');
+    document.getElementById('moderation_notice').hidden = false;
+  }
+
   // Populate the Intro Page with Spell selection HTML and fill with defaults
   let spellAssignmentInnerHTML = '';
   for (const [, spellKeyValue] of Object.entries(playerObject.spellKeys)) {
@@ -164,20 +208,26 @@ async function checkLoggedInStatus() {
         // NOTE: atob is deprecated in NODE, but NOT in browsers.
         playerName = JSON.parse(window.atob(token.split('.')[1])).name;
         localStorage.setItem('playerName', playerName); // To survive page refreshes
-        isAdmin = JSON.parse(window.atob(token.split('.')[1])).admin === 1;
-        canChat = JSON.parse(window.atob(token.split('.')[1])).canChat === 1;
-        canMessage =
-          JSON.parse(window.atob(token.split('.')[1])).canMessage === 1;
-        if (canMessage) {
+        // Permissions are not in the token, because they can change.
+        const authResult = await res.json();
+        playerObject.permissions = authResult.permissions;
+        if (hasPermission('dropMessage')) {
           playerObject.spellOptions.push('writeMessage');
           playerObject.spellKeys.push(
             String(playerObject.spellKeys.length + 1),
           );
         }
-        isGuest = JSON.parse(window.atob(token.split('.')[1])).guest === 1;
+        isGuest = authResult.guest === 1;
       } else if (res.status === 401) {
         localStorage.removeItem('authToken');
         loggedIn = false;
+      } else if (res.status === 403) {
+        localStorage.removeItem('authToken');
+        loggedIn = false;
+        loginErrorText = moderationNoticeText({
+          kind: 'ban',
+          ...(await res.json()),
+        });
       } else {
         loggedIn = false;
         console.error('Unexpected response from server.');
@@ -194,12 +244,16 @@ async function checkLoggedInStatus() {
   } else {
     loggedIn = false;
   }
+  if (loggedIn) {
+    await showSessions();
+  }
   populateSpellSettings();
   updateDOMElements();
 }
 
 async function login() {
   loginFailure = false;
+  loginErrorText = null;
   loginInProgress = true;
   updateDOMElements();
   try {
@@ -222,14 +276,9 @@ async function login() {
         window.atob(resultObject.token.split('.')[1]),
       ).name;
       localStorage.setItem('playerName', playerName); // To survive page refreshes
-      isAdmin =
-        JSON.parse(window.atob(resultObject.token.split('.')[1])).admin === 1;
-      canChat =
-        JSON.parse(window.atob(resultObject.token.split('.')[1])).canChat === 1;
-      canMessage =
-        JSON.parse(window.atob(resultObject.token.split('.')[1])).canMessage ===
-        1;
-      if (canMessage) {
+      // Permissions are not in the token, because they can change.
+      playerObject.permissions = resultObject.permissions;
+      if (hasPermission('dropMessage')) {
         playerObject.spellOptions.push('writeMessage');
         playerObject.spellKeys.push(String(playerObject.spellKeys.length + 1));
       }
@@ -238,6 +287,12 @@ async function login() {
     } else if (res.status === 401) {
       loggedIn = false;
       loginFailure = true;
+    } else if (res.status === 403) {
+      loggedIn = false;
+      loginErrorText = moderationNoticeText({
+        kind: 'ban',
+        ...(await res.json()),
+      });
     } else {
       loggedIn = false;
       loginFailure = true;
@@ -254,18 +309,89 @@ async function login() {
     console.error(error);
   }
   loginInProgress = false;
+  if (loggedIn) {
+    await showSessions();
+  }
   populateSpellSettings();
   updateDOMElements();
 }
 
-function logOut() {
+async function logOut() {
   if (isGuest) {
     localStorage.removeItem('playerName');
   }
+  // Tell the server, so that this token stops working even if someone else has a copy of it.
+  try {
+    await fetch(`${apiURL}/logout`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify({
+        token: localStorage.getItem('authToken'),
+      }),
+    });
+  } catch (error) {
+    console.error(error);
+  }
   localStorage.removeItem('authToken');
   window.location.reload(); // Easiest way to clear all data and settings
 }
 
+// List everywhere the player is signed in, so that they can sign out of the others.
+async function showSessions() {
+  try {
+    const res = await fetch(`${apiURL}/sessions`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify({
+        token: localStorage.getItem('authToken'),
+      }),
+    });
+    if (res.status !== 200) {
+      return;
+    }
+    const sessionList = document.getElementById('session_list');
+    sessionList.innerHTML = '';
+    (await res.json()).forEach((session) => {
+      const item = document.createElement('li');
+      item.innerText = `${session.current ? 'This device' : 'Another device'}, last used ${new Date(
+        session.lastSeen * 1000,
+      ).toLocaleString()} from ${session.lastIp}`;
+      sessionList.appendChild(item);
+    });
+    domElements.logoutOtherSessionsButton.disabled =
+      sessionList.children.length < 2;
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+async function logOutOtherSessions() {
+  accountErrorText = null;
+  try {
+    const res = await fetch(`${apiURL}/logout-other-sessions`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify({
+        token: localStorage.getItem('authToken'),
+      }),
+    });
+    if (res.status !== 200) {
+      accountErrorText = (await res.text()) || 'Unknown error.';
+    }
+  } catch (error) {
+    accountErrorText = 'Error contacting server.';
+    console.error(error);
+  }
+  await showSessions();
+  updateDOMElements();
+}
+
 function createNewAccount() {
   loginFailure = false;
   loginErrorText = null;
@@ -280,6 +406,62 @@ function cancelCreateNewAccount() {
   updateDOMElements();
 }
 
+function openResetPasswordWithCode() {
+  loginFailure = false;
+  loginErrorText = null;
+  resettingPassword = true;
+  updateDOMElements();
+  domElements.resetCodeInputBox.focus();
+}
+
+function cancelResetPasswordWithCode() {
+  loginFailure = false;
+  loginErrorText = null;
+  resettingPassword = false;
+  updateDOMElements();
+}
+
+async function resetPasswordWithCode() {
+  loginErrorText = null;
+  const password = domElements.passwordInputBox.value;
+  const repeatPassword = document.getElementById(
+    'repeat_password_input_box',
+  ).value;
+  if (password !== repeatPassword) {
+    loginErrorText = 'Passwords do not match.';
+    updateDOMElements();
+    return;
+  }
+  sendingPasswordReset = true;
+  updateDOMElements();
+  try {
+    const res = await fetch(`${apiURL}/reset-password`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify({
+        name: domElements.playerNameInputBox.value,
+        code: domElements.resetCodeInputBox.value,
+        password,
+      }),
+    });
+    if (res.status === 200) {
+      resettingPassword = false;
+      sendingPasswordReset = false;
+      // Sign straight in with the new password.
+      await login();
+      return;
+    }
+    loginErrorText = (await res.text()) || 'Unknown error.';
+  } catch (error) {
+    loginErrorText = 'Error contacting server.';
+    console.error(error);
+  }
+  sendingPasswordReset = false;
+  updateDOMElements();
+}
+
 function openChangePlayerNameDialogue() {
   changingPlayerName = true;
   updateDOMElements();
@@ -354,6 +536,7 @@ async function updatePassword() {
       }
     } catch (error) {
       accountErrorText = 'Error contacting server.';
+      console.error(error);
     }
     sendingAccountCreation = false;
   }
@@ -376,6 +559,7 @@ async function verifyDeleteAccount() {
       body: JSON.stringify({
         token: localStorage.getItem('authToken'),
         password,
+        purge: document.getElementById('purge_account_checkbox').checked,
       }),
     });
     let resultText = await res.text();
@@ -390,9 +574,39 @@ async function verifyDeleteAccount() {
     }
   } catch (error) {
     accountErrorText = 'Error contacting server.';
+    console.error(error);
   }
 }
 
+async function exportAccount() {
+  accountErrorText = null;
+  try {
+    const res = await fetch(`${apiURL}/export-account`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify({
+        token: localStorage.getItem('authToken'),
+      }),
+    });
+    if (res.status === 200) {
+      // Save it as a file.
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(await res.blob());
+      link.download = `witchazzan-${playerName}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } else {
+      accountErrorText = (await res.text()) || 'Unknown error.';
+    }
+  } catch (error) {
+    accountErrorText = 'Error contacting server.';
+    console.error(error);
+  }
+  updateDOMElements();
+}
+
 function cancelAccountActionDialogue() {
   changingPlayerName = false;
   changingPassword = false;
@@ -434,6 +648,7 @@ async function createAccount() {
       }
     } catch (error) {
       loginErrorText = 'Error contacting server.';
+      console.error(error);
     }
     sendingAccountCreation = false;
   }
@@ -523,7 +738,7 @@ const playAsGuest = async () => {
       playerName = JSON.parse(
         window.atob(resultObject.token.split('.')[1]),
       ).name;
-      isAdmin = false;
+      playerObject.permissions = [];
       isGuest = true;
       // Play as guest immediately starts game
       startGameNow();
@@ -621,6 +836,18 @@ const playAsGuest = async () => {
       cancelCreateNewAccount,
     );
     domElements.createAccountButton.addEventListener('click', createAccount);
+    domElements.resetPasswordWithCodeButton.addEventListener(
+      'click',
+      openResetPasswordWithCode,
+    );
+    domElements.resetPasswordButton.addEventListener(
+      'click',
+      resetPasswordWithCode,
+    );
+    domElements.cancelResetPasswordButton.addEventListener(
+      'click',
+      cancelResetPasswordWithCode,
+    );
     domElements.playAsGuestButton.addEventListener('click', playAsGuest);
     domElements.changePlayerNameButton.addEventListener(
       'click',
@@ -647,6 +874,11 @@ const playAsGuest = async () => {
       'click',
       verifyDeleteAccount,
     );
+    domElements.exportAccountButton.addEventListener('click', exportAccount);
+    domElements.logoutOtherSessionsButton.addEventListener(
+      'click',
+      logOutOtherSessions,
+    );
     domElements.cancelChangePlayerNameButton.addEventListener(
       'click',
       cancelAccountActionDialogue,
@@ -667,7 +899,9 @@ const playAsGuest = async () => {
         // Cancel the default action, if needed
         event.preventDefault();
         // Trigger the button element with a click
-        domElements.loginSubmitButton.click();
+        if (!resettingPassword) {
+          domElements.loginSubmitButton.click();
+        }
       }
     });
     domElements.repeatPasswordInputBox.addEventListener('keyup', (event) => {
@@ -676,7 +910,11 @@ const playAsGuest = async () => {
         // Cancel the default action, if needed
         event.preventDefault();
         // Trigger the button element with a click
-        domElements.createAccountButton.click();
+        if (resettingPassword) {
+          domElements.resetPasswordButton.click();
+        } else {
+          domElements.createAccountButton.click();
+        }
       }
     });
 
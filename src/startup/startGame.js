@@ -156,6 +156,13 @@ async function waitForConnectionAndInitialPlayerPosition() {
   }
 
   playerObject.scrollingTextBox = new ScrollingTextBox();
+  if (playerObject.unreadMail > 0) {
+    playerObject.scrollingTextBox.chat({
+      content: `You have ${playerObject.unreadMail} unread letter${
+        playerObject.unreadMail === 1 ? '' : 's'
+      }. Use /inbox to see them.`,
+    });
+  }
 
   // Start Phaser
   phaserConfigObject.physics.arcade.debug = playerObject.enableDebug;
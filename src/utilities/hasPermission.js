@@ -0,0 +1,9 @@
+import playerObject from '../objects/playerObject.js';
+
+// The server decides what we are allowed to do, and sends us a list of permissions.
+// The server checks them again, so this is only for deciding what to show.
+function hasPermission(permission) {
+  return playerObject.permissions.indexOf(permission) > -1;
+}
+
+export default hasPermission;
@@ -17,7 +17,7 @@ export default defineConfig({
     logLevel: 'warning',
     build: {
         rollupOptions: {
-            input: { index : 'index.html', 'sign-in' : 'sign-in.html' },
+            input: { index : 'index.html', 'sign-in' : 'sign-in.html', admin : 'admin.html' },
             output: {
                 manualChunks: {
                     phaser: ['phaser']